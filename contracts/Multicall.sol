@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Multicall
+ * @dev Multicall3-style aggregator for batching read calls into a single eth_call
+ * @notice Used by the frontend to load a holder's credentials in one RPC round-trip
+ */
+contract Multicall {
+    struct Call3 {
+        address target;              // Contract to call
+        bool allowFailure;           // Whether a revert is tolerated
+        bytes callData;              // ABI-encoded call
+    }
+
+    struct Result {
+        bool success;                // Whether the call succeeded
+        bytes returnData;            // Raw return or revert data
+    }
+
+    /**
+     * @dev Execute a batch of static calls
+     * @param calls Calls to execute
+     * @return returnData Result of each call, in order
+     */
+    function aggregate3(Call3[] calldata calls) external view returns (Result[] memory returnData) {
+        uint256 length = calls.length;
+        returnData = new Result[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            Call3 calldata call = calls[i];
+            (bool success, bytes memory data) = call.target.staticcall(call.callData);
+            require(success || call.allowFailure, "Multicall: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    /**
+     * @dev Get the current block number
+     * @return blockNumber Current block number
+     */
+    function getBlockNumber() external view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+
+    /**
+     * @dev Get the current block timestamp
+     * @return timestamp Current block timestamp
+     */
+    function getCurrentBlockTimestamp() external view returns (uint256 timestamp) {
+        timestamp = block.timestamp;
+    }
+
+    /**
+     * @dev Get the chain ID
+     * @return chainid Current chain ID
+     */
+    function getChainId() external view returns (uint256 chainid) {
+        chainid = block.chainid;
+    }
+}
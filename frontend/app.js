@@ -1,17 +1,139 @@
 // Advanced DID System Frontend Application
+
+// localStorage key for per-chain contract address overrides made in Settings
+const CONTRACT_ADDRESSES_STORAGE_KEY = 'didSystem.contractAddresses';
+
+// localStorage keys for the expiry reminder preferences
+const EXPIRY_HORIZON_STORAGE_KEY = 'didSystem.expiryHorizonDays';
+const RENEWAL_REQUESTS_STORAGE_KEY = 'didSystem.renewalRequests';
+
+// Networks defined in hardhat.config.js, as wallet_addEthereumChain expects them
+const SUPPORTED_NETWORKS = {
+    1337: {
+        chainId: '0x539',
+        chainName: 'Hardhat Local',
+        rpcUrls: ['http://127.0.0.1:8545'],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }
+    },
+    11155111: {
+        chainId: '0xaa36a7',
+        chainName: 'Sepolia',
+        rpcUrls: ['https://rpc.sepolia.org'],
+        nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+        blockExplorerUrls: ['https://sepolia.etherscan.io']
+    }
+};
+
+// EIP-1193 error code for a chain the wallet does not know yet
+const UNRECOGNIZED_CHAIN_ERROR = 4902;
+
+// localStorage key for the JSON-RPC endpoint of the read-only verifier mode
+const RPC_URL_STORAGE_KEY = 'didSystem.rpcUrl';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Credential types enabled by CredentialRegistryV2.initialize(), which emits no events for them
+const INITIAL_CREDENTIAL_TYPES = [
+    'VerifiableCredential',
+    'EducationalCredential',
+    'ProfessionalCredential',
+    'IdentityCredential'
+];
+
+// Initial types plus the ones deployV2.js enables
+const DEFAULT_CREDENTIAL_TYPES = [...INITIAL_CREDENTIAL_TYPES, 'KYC', 'AML'];
+
+// Issuer-side status changes; reactivateCredential takes no reason on-chain
+const CREDENTIAL_ACTIONS = {
+    suspend: { label: 'Suspend', method: 'suspendCredential', appliesTo: ['active'], needsReason: true },
+    reactivate: { label: 'Reactivate', method: 'reactivateCredential', appliesTo: ['suspended'], needsReason: false },
+    revoke: { label: 'Revoke', method: 'revokeCredential', appliesTo: ['active', 'suspended'], needsReason: true }
+};
+
+// Lifecycle events of a credential, as shown in its history
+const HISTORY_ACTIONS = {
+    CredentialIssued: args => ({ action: 'Issued', detail: args.credentialType }),
+    CredentialSuspended: args => ({ action: 'Suspended', detail: args.reason }),
+    CredentialRevoked: args => ({ action: 'Revoked', detail: args.reason }),
+    CredentialReactivated: () => ({ action: 'Reactivated', detail: '' })
+};
+
+const REGISTRIES = [
+    { key: 'identityRegistry', label: 'Identity Registry' },
+    { key: 'credentialRegistry', label: 'Credential Registry' }
+];
+
 class DIDSystem {
     constructor() {
         this.provider = null;
         this.signer = null;
         this.identityRegistry = null;
         this.credentialRegistry = null;
+        this.batcher = null;
+        this.transactions = new TransactionManager({
+            storage: localStorage,
+            onChange: (transactions) => this.renderTransactions(transactions)
+        });
         this.userAddress = null;
         this.userDID = null;
+        this.issuerDID = null;
+
+        // The connected account's DID document as returned by resolveDID
+        this.didDocument = null;
+
+        // Credential shown in the details modal: { credentialId, credential, claims }
+        this.credentialDetails = null;
+
+        // Holder data kept in IndexedDB, and the credentials as last seen on-chain
+        this.offlineCache = new OfflineCache.CredentialCache(window.indexedDB);
+        this.lastSeenCredentials = [];
+
+        // Presentation shown in the presentation modal, and the running QR scanner: { stream, timer }
+        this.presentation = null;
+        this.qrScanner = null;
+
+        // Registries the connected account owns, by REGISTRIES key
+        this.ownedRegistries = {};
+        this.chainId = null;
+        this.networkName = null;
+
+        // Verifier mode: a JSON-RPC provider and no signer, so only reads are possible
+        this.readOnly = false;
+
+        // Wallets announced through EIP-6963 and the EIP-1193 provider of the connected one
+        this.walletDiscovery = new Wallets.WalletDiscovery({
+            target: window,
+            onChange: () => this.renderWalletOptions()
+        });
+        this.wallet = null;
+        this.handleAccountsChanged = (accounts) => {
+            if (accounts.length === 0) {
+                this.disconnectWallet();
+            } else {
+                this.connectBrowserWallet(this.wallet);
+            }
+        };
+        this.handleChainChanged = () => this.reconnectWallet();
+        
+        // Holder credentials from the last load: { id, credential, isValid, claims }
+        this.userCredentials = [];
+        this.expiryHorizonDays = Number(localStorage.getItem(EXPIRY_HORIZON_STORAGE_KEY)) || 30;
+
+        // Credentials issued by the connected issuer and the bulk selection
+        this.issuedCredentials = [];
+        this.selectedIssuedIds = new Set();
+        this.pendingCredentialAction = null;
+        
+        // Deployments written by scripts/deployV2.js, keyed by chain ID
+        this.deployments = {};
         
-        // Contract addresses (update these after deployment)
+        // Contract addresses for the connected chain (resolved on connect)
         this.contractAddresses = {
-            identityRegistry: "0x...", // Update with actual address
-            credentialRegistry: "0x..." // Update with actual address
+            identityRegistry: null,
+            credentialRegistry: null,
+            multicall: null,
+            deploymentBlock: 0,
+            source: null
         };
         
         this.init();
@@ -19,289 +141,2109 @@ class DIDSystem {
 
     async init() {
         this.setupEventListeners();
+        this.walletDiscovery.start();
+
+        // Scanning needs the Barcode Detection API; elsewhere payloads are pasted
+        if ('BarcodeDetector' in window && navigator.mediaDevices) {
+            document.getElementById('scanPresentationBtn').classList.remove('hidden');
+        }
+        await this.loadDeployments();
         this.showConnectionStatus();
+
+        // Shared verification links open straight into the verifier when an RPC URL is saved
+        const route = Router.parse(location.hash);
+        const rpcUrl = localStorage.getItem(RPC_URL_STORAGE_KEY);
+        if (route && (route.name === 'verify' || route.name === 'did') && rpcUrl) {
+            await this.startReadOnly(rpcUrl);
+        }
+    }
+
+    setupEventListeners() {
+        // Wallet connection
+        document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
+        document.getElementById('closeWalletPickerBtn').addEventListener('click', () => this.hideWalletPicker());
+        document.getElementById('loadLocalAccountsBtn').addEventListener('click', () => this.loadLocalAccounts());
+        document.getElementById('connectLocalAccountBtn').addEventListener('click', () => this.connectLocalAccount());
+        document.getElementById('useCustomAddressesBtn').addEventListener('click', () => {
+            this.hideWrongNetwork();
+            this.switchTab('settings');
+        });
+        
+        // Tab navigation and shareable links
+        document.querySelectorAll('.tab-button').forEach(button => {
+            button.addEventListener('click', () => this.navigate({ name: button.dataset.tab }));
+        });
+        window.addEventListener('hashchange', () => this.applyRoute());
+        
+        // Read-only verifier mode
+        const rpcUrl = localStorage.getItem(RPC_URL_STORAGE_KEY) || '';
+        document.getElementById('rpcUrlInput').value = rpcUrl;
+        document.getElementById('settingsRpcUrlInput').value = rpcUrl;
+        document.getElementById('startReadOnlyBtn').addEventListener('click', () => {
+            this.startReadOnly(document.getElementById('rpcUrlInput').value);
+        });
+        document.getElementById('saveRpcUrlBtn').addEventListener('click', () => this.saveRpcUrl());
+        
+        // Identity management
+        document.getElementById('createDIDBtn').addEventListener('click', () => this.createDID());
+        document.getElementById('updateDIDBtn').addEventListener('click', () => this.updateDID());
+        document.getElementById('deactivateDIDBtn').addEventListener('click', () => this.deactivateDID());
+        document.getElementById('addVerificationMethodBtn').addEventListener('click', () => this.addVerificationMethod());
+        document.getElementById('addServiceEndpointBtn').addEventListener('click', () => this.addServiceEndpoint());
+        document.getElementById('downloadDIDDocumentBtn').addEventListener('click', () => this.downloadDIDDocument());
+        
+        // Credential management
+        document.getElementById('addCredentialBtn').addEventListener('click', () => this.showAddCredentialModal());
+        document.getElementById('verifyCredentialBtn').addEventListener('click', () => this.verifyCredential());
+
+        // Credential search and filters
+        ['credentialSearchInput', 'credentialTypeFilter', 'credentialIssuerFilter', 'credentialStatusFilter',
+            'credentialIssuedFromFilter', 'credentialIssuedToFilter', 'credentialSortSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderCredentialList());
+        });
+        document.getElementById('clearCredentialFiltersBtn').addEventListener('click', () => this.clearCredentialFilters());
+        document.getElementById('lookupDIDBtn').addEventListener('click', () => this.lookupDID());
+        
+        // Credential issuance
+        document.getElementById('closeCredentialModalBtn').addEventListener('click', () => this.hideAddCredentialModal());
+        document.getElementById('cancelCredentialModalBtn').addEventListener('click', () => this.hideAddCredentialModal());
+        document.getElementById('addClaimRowBtn').addEventListener('click', () => this.addClaimRow());
+        document.getElementById('issueCredentialBtn').addEventListener('click', () => this.issueCredential());
+        document.querySelectorAll('input[name="issueMode"]').forEach(input => {
+            input.addEventListener('change', (e) => this.setIssueMode(e.target.value));
+        });
+        document.getElementById('closeCredentialDetailsBtn').addEventListener('click', () => this.hideCredentialDetails());
+        document.getElementById('showCertificateBtn').addEventListener('click', () => this.showCertificate());
+        document.getElementById('showPresentationBtn').addEventListener('click', () => this.showPresentation());
+        document.getElementById('closePresentationBtn').addEventListener('click', () => this.hidePresentation());
+        document.getElementById('copyPresentationBtn').addEventListener('click', () => this.copyPresentation());
+        document.getElementById('signPresentationBtn').addEventListener('click', () => this.signPresentation());
+        document.getElementById('scanPresentationBtn').addEventListener('click', () => this.startQrScanner());
+        document.getElementById('closeQrScannerBtn').addEventListener('click', () => this.stopQrScanner());
+        document.getElementById('printCertificateBtn').addEventListener('click', () => window.print());
+        document.getElementById('closeCertificateBtn').addEventListener('click', () => this.hideCertificate());
+        
+        // Expiry reminders
+        const horizonSelect = document.getElementById('expiryHorizonSelect');
+        horizonSelect.value = String(this.expiryHorizonDays);
+        horizonSelect.addEventListener('change', (e) => this.setExpiryHorizon(e.target.value));
+        
+        // Issuer credential management
+        document.getElementById('selectAllIssuedCheckbox').addEventListener('change', (e) => this.selectAllIssued(e.target.checked));
+        document.querySelectorAll('.issued-bulk-action').forEach(button => {
+            button.addEventListener('click', () => this.showCredentialActionModal(button.dataset.action, [...this.selectedIssuedIds]));
+        });
+        document.getElementById('cancelCredentialActionBtn').addEventListener('click', () => this.hideCredentialActionModal());
+        document.getElementById('confirmCredentialActionBtn').addEventListener('click', () => this.confirmCredentialAction());
+
+        // Admin console
+        document.getElementById('authorizeIssuerBtn').addEventListener('click', () => this.authorizeIssuer());
+        document.getElementById('enableCredentialTypeBtn').addEventListener('click', () => {
+            this.setCredentialTypeSupport(document.getElementById('credentialTypeInput').value.trim(), true);
+        });
+
+        // Transactions
+        document.getElementById('clearTransactionsBtn').addEventListener('click', () => this.transactions.clearFinished());
+        
+        // Settings
+        document.getElementById('saveContractAddressesBtn').addEventListener('click', () => this.saveContractAddresses());
+        document.getElementById('resetContractAddressesBtn').addEventListener('click', () => this.resetContractAddresses());
+    }
+
+    connectWallet() {
+        this.renderWalletOptions();
+        document.getElementById('walletPickerModal').classList.remove('hidden');
+    }
+
+    hideWalletPicker() {
+        document.getElementById('walletPickerModal').classList.add('hidden');
+    }
+
+    renderWalletOptions() {
+        const wallets = this.walletDiscovery.getWallets();
+        const options = document.getElementById('walletOptions');
+
+        if (wallets.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm text-gray-500';
+            empty.textContent = 'No browser wallet found. Install one, or use a local development account below.';
+            options.replaceChildren(empty);
+            return;
+        }
+
+        options.replaceChildren(...wallets.map(wallet => Views.walletOption(wallet.info, () => this.connectBrowserWallet(wallet))));
+    }
+
+    async connectBrowserWallet(wallet) {
+        try {
+            this.hideWalletPicker();
+            this.showLoading(true);
+
+            // Request account access
+            const accounts = await wallet.provider.request({ method: 'eth_requestAccounts' });
+
+            // Follow account and network switches in the chosen wallet only
+            if (!this.wallet || this.wallet.provider !== wallet.provider) {
+                this.unwatchWallet();
+                wallet.provider.on('accountsChanged', this.handleAccountsChanged);
+                wallet.provider.on('chainChanged', this.handleChainChanged);
+            }
+            this.wallet = wallet;
+
+            const provider = new ethers.BrowserProvider(wallet.provider);
+            await this.completeConnection(provider, await provider.getSigner(accounts[0]));
+
+            this.showMessage(`Connected with ${wallet.info.name}`, 'success');
+
+        } catch (error) {
+            console.error('Error connecting wallet:', error);
+            this.showMessage('Failed to connect wallet: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async loadLocalAccounts() {
+        try {
+            const provider = new ethers.JsonRpcProvider(document.getElementById('localRpcUrlInput').value.trim());
+            const accounts = await Wallets.listLocalAccounts(provider);
+
+            const select = document.getElementById('localAccountSelect');
+            const generated = select.querySelector(`option[value="${Wallets.GENERATED_ACCOUNT}"]`);
+            select.replaceChildren(generated, ...accounts.map(account => {
+                const option = document.createElement('option');
+                option.value = account;
+                option.textContent = account;
+                return option;
+            }));
+
+            this.showMessage(`${accounts.length} unlocked account${accounts.length === 1 ? '' : 's'} found`, 'info');
+
+        } catch (error) {
+            console.error('Error loading local accounts:', error);
+            this.showMessage('Failed to reach the development node: ' + this.describeError(error), 'error');
+        }
+    }
+
+    async connectLocalAccount() {
+        try {
+            this.hideWalletPicker();
+            this.showLoading(true);
+
+            const provider = new ethers.JsonRpcProvider(document.getElementById('localRpcUrlInput').value.trim());
+            const account = document.getElementById('localAccountSelect').value;
+            const signer = await Wallets.createLocalSigner(provider, account, localStorage);
+
+            this.unwatchWallet();
+
+            await this.completeConnection(provider, signer);
+
+            this.showMessage('Connected with a local development account', 'success');
+
+        } catch (error) {
+            console.error('Error connecting local account:', error);
+            this.showMessage('Failed to connect local account: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    unwatchWallet() {
+        if (!this.wallet) return;
+        this.wallet.provider.removeListener('accountsChanged', this.handleAccountsChanged);
+        this.wallet.provider.removeListener('chainChanged', this.handleChainChanged);
+        this.wallet = null;
+    }
+
+    // ethers providers are bound to one network, so a chain change needs a new provider
+    async reconnectWallet() {
+        try {
+            this.showLoading(true);
+            const provider = new ethers.BrowserProvider(this.wallet.provider);
+            await this.completeConnection(provider, await provider.getSigner());
+            this.showMessage(`Switched to ${this.networkName || 'chain ' + this.chainId}`, 'info');
+
+        } catch (error) {
+            console.error('Error switching network:', error);
+            this.showMessage('Failed to switch network: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async completeConnection(provider, signer) {
+        this.unsubscribeFromEvents();
+        this.provider = provider;
+        this.signer = signer;
+        this.userAddress = await signer.getAddress();
+        this.userDID = null;
+        this.setReadOnly(false);
+
+        // Pick the deployment for the connected network
+        const network = await this.provider.getNetwork();
+        this.chainId = Number(network.chainId);
+        this.networkName = network.name;
+        this.resolveContractAddresses();
+        this.transactions.setContext(this.provider, this.signer, this.chainId, this.userAddress);
+
+        // Update UI
+        this.updateWalletInfo();
+        this.hideConnectionStatus();
+        this.showDashboard();
+        this.displayNetworkSettings();
+
+        if (!this.contractAddresses.identityRegistry || !this.contractAddresses.credentialRegistry) {
+            this.identityRegistry = null;
+            this.credentialRegistry = null;
+            this.showWrongNetwork();
+            return;
+        }
+        this.hideWrongNetwork();
+
+        // Initialize contracts
+        await this.initializeContracts();
+
+        // Load user data
+        await this.loadUserData();
+
+        // Open the page the URL points to
+        await this.applyRoute();
+    }
+
+    // Networks with a deployment that the wallet can switch to; all supported ones without a manifest
+    getSwitchableNetworks() {
+        const deployed = Object.keys(this.deployments);
+        return Object.keys(SUPPORTED_NETWORKS)
+            .filter(chainId => deployed.length === 0 || deployed.includes(chainId))
+            .map(chainId => ({ chainId: Number(chainId), ...SUPPORTED_NETWORKS[chainId] }));
+    }
+
+    showWrongNetwork() {
+        document.getElementById('wrongNetworkMessage').textContent =
+            `Your wallet is on chain ${this.chainId}, which has no deployment of the registries. ` +
+            'Switch to a supported network to continue.';
+
+        const options = document.getElementById('networkSwitchOptions');
+        options.innerHTML = '';
+
+        if (!this.wallet) {
+            const note = document.createElement('p');
+            note.className = 'text-sm text-gray-500';
+            note.textContent = 'Local development accounts stay on the node they were created for. Connect to a node on a supported network instead.';
+            options.appendChild(note);
+        } else {
+            this.getSwitchableNetworks().forEach(network => {
+                const button = document.createElement('button');
+                button.className = 'w-full bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition';
+                button.textContent = `Switch to ${network.chainName} (${network.chainId})`;
+                button.addEventListener('click', () => this.switchNetwork(network.chainId));
+                options.appendChild(button);
+            });
+        }
+
+        document.getElementById('wrongNetworkBanner').classList.remove('hidden');
+    }
+
+    hideWrongNetwork() {
+        document.getElementById('wrongNetworkBanner').classList.add('hidden');
+    }
+
+    async switchNetwork(chainId) {
+        const network = SUPPORTED_NETWORKS[chainId];
+        try {
+            try {
+                await this.wallet.provider.request({
+                    method: 'wallet_switchEthereumChain',
+                    params: [{ chainId: network.chainId }]
+                });
+            } catch (error) {
+                if (error.code !== UNRECOGNIZED_CHAIN_ERROR) throw error;
+                await this.wallet.provider.request({ method: 'wallet_addEthereumChain', params: [network] });
+            }
+            // The wallet emits chainChanged, which reconnects on the new network
+
+        } catch (error) {
+            console.error('Error switching network:', error);
+            this.showMessage(`Failed to switch to ${network.chainName}: ` + this.describeError(error), 'error');
+        }
+    }
+
+    async startReadOnly(rpcUrl) {
+        try {
+            rpcUrl = rpcUrl.trim();
+            if (!/^https?:\/\//.test(rpcUrl)) {
+                this.showMessage('Please enter an http(s) JSON-RPC URL', 'error');
+                return;
+            }
+
+            this.showLoading(true);
+
+            // getNetwork() fails fast when the endpoint is unreachable
+            const provider = new ethers.JsonRpcProvider(rpcUrl);
+            const network = await provider.getNetwork();
+            localStorage.setItem(RPC_URL_STORAGE_KEY, rpcUrl);
+            document.getElementById('settingsRpcUrlInput').value = rpcUrl;
+
+            // Nothing of a previous wallet session, such as its admin or issuer views, carries over
+            this.resetSession();
+            this.provider = provider;
+            this.chainId = Number(network.chainId);
+            this.networkName = network.name;
+            this.resolveContractAddresses();
+
+            this.setReadOnly(true);
+            this.hideConnectionStatus();
+            this.showDashboard();
+            this.displayNetworkSettings();
+
+            if (!this.contractAddresses.identityRegistry || !this.contractAddresses.credentialRegistry) {
+                this.switchTab('settings');
+                this.showMessage(`No deployment found for chain ${this.chainId}. Enter the contract addresses in Settings.`, 'warning');
+                return;
+            }
+
+            await this.initializeContracts();
+            await this.applyRoute();
+            this.showMessage('Read-only verifier mode: credentials can be checked without a wallet', 'info');
+
+        } catch (error) {
+            console.error('Error starting read-only mode:', error);
+            this.showMessage('Failed to reach the JSON-RPC endpoint: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async saveRpcUrl() {
+        const rpcUrl = document.getElementById('settingsRpcUrlInput').value.trim();
+        document.getElementById('rpcUrlInput').value = rpcUrl;
+
+        if (this.readOnly) {
+            await this.startReadOnly(rpcUrl);
+        } else if (rpcUrl) {
+            localStorage.setItem(RPC_URL_STORAGE_KEY, rpcUrl);
+            this.showMessage('RPC URL saved', 'success');
+        } else {
+            localStorage.removeItem(RPC_URL_STORAGE_KEY);
+            this.showMessage('RPC URL cleared', 'info');
+        }
+    }
+
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        document.querySelectorAll('[data-requires-signer]').forEach(element => {
+            element.classList.toggle('hidden', readOnly);
+        });
+
+        const walletInfo = document.getElementById('walletInfo');
+        if (readOnly) {
+            document.getElementById('walletAddress').textContent = 'Read-only verifier';
+            walletInfo.classList.remove('hidden');
+        }
+    }
+
+    async loadDeployments() {
+        try {
+            const response = await fetch('deployments.json', { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.deployments = await response.json();
+        } catch (error) {
+            // Without a manifest the user can still enter addresses in Settings
+            console.warn('No deployments.json found, run scripts/deployV2.js:', error);
+            this.deployments = {};
+        }
+    }
+
+    getStoredContractAddresses() {
+        try {
+            return JSON.parse(localStorage.getItem(CONTRACT_ADDRESSES_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable contract address overrides:', error);
+            return {};
+        }
+    }
+
+    resolveContractAddresses() {
+        const override = this.getStoredContractAddresses()[this.chainId];
+        const deployment = this.deployments[this.chainId];
+
+        // The Multicall aggregator is registry-agnostic, so overrides keep the deployed one
+        const multicall = deployment ? deployment.contracts.multicall || null : null;
+
+        // Event scans start at the deployment block; for overridden registries it is unknown
+        if (override) {
+            this.contractAddresses = { ...override, multicall, deploymentBlock: 0, source: 'Saved in this browser' };
+        } else if (deployment) {
+            this.contractAddresses = {
+                identityRegistry: deployment.contracts.identityRegistry,
+                credentialRegistry: deployment.contracts.credentialRegistry,
+                multicall,
+                deploymentBlock: deployment.deploymentBlock || 0,
+                source: `${deployment.deploymentFile} (${deployment.timestamp})`
+            };
+        } else {
+            this.contractAddresses = { identityRegistry: null, credentialRegistry: null, multicall: null, deploymentBlock: 0, source: null };
+        }
+
+        if (deployment) {
+            this.networkName = deployment.network;
+        }
+    }
+
+    displayNetworkSettings() {
+        document.getElementById('identityRegistryAddress').value = this.contractAddresses.identityRegistry || '';
+        document.getElementById('credentialRegistryAddress').value = this.contractAddresses.credentialRegistry || '';
+        document.getElementById('contractAddressSource').textContent = this.contractAddresses.source || 'Not configured';
+        document.getElementById('networkName').textContent = this.networkName || 'unknown';
+        document.getElementById('chainId').textContent = this.chainId;
+    }
+
+    async saveContractAddresses() {
+        try {
+            const identityRegistry = document.getElementById('identityRegistryAddress').value.trim();
+            const credentialRegistry = document.getElementById('credentialRegistryAddress').value.trim();
+
+            if (!ethers.isAddress(identityRegistry) || !ethers.isAddress(credentialRegistry)) {
+                this.showMessage('Please enter valid contract addresses', 'error');
+                return;
+            }
+            if (this.chainId === null) {
+                this.showMessage('Please connect your wallet first', 'error');
+                return;
+            }
+
+            const stored = this.getStoredContractAddresses();
+            stored[this.chainId] = { identityRegistry, credentialRegistry };
+            localStorage.setItem(CONTRACT_ADDRESSES_STORAGE_KEY, JSON.stringify(stored));
+
+            await this.reloadContracts();
+            this.showMessage('Contract addresses saved', 'success');
+
+        } catch (error) {
+            console.error('Error saving contract addresses:', error);
+            this.showMessage('Failed to save contract addresses: ' + this.describeError(error), 'error');
+        }
+    }
+
+    async resetContractAddresses() {
+        try {
+            const stored = this.getStoredContractAddresses();
+            delete stored[this.chainId];
+            localStorage.setItem(CONTRACT_ADDRESSES_STORAGE_KEY, JSON.stringify(stored));
+
+            await this.reloadContracts();
+            this.showMessage('Using deployment defaults', 'info');
+
+        } catch (error) {
+            console.error('Error resetting contract addresses:', error);
+            this.showMessage('Failed to reset contract addresses: ' + this.describeError(error), 'error');
+        }
+    }
+
+    async reloadContracts() {
+        this.resolveContractAddresses();
+        this.displayNetworkSettings();
+
+        if (!this.provider || !this.contractAddresses.identityRegistry || !this.contractAddresses.credentialRegistry) {
+            return;
+        }
+        this.hideWrongNetwork();
+
+        this.showLoading(true);
+        try {
+            this.unsubscribeFromEvents();
+            this.userDID = null;
+            await this.initializeContracts();
+            if (!this.readOnly) {
+                await this.loadUserData();
+            }
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async initializeContracts() {
+        // Registry clients from the SDK (frontend/sdk). Read-only mode has no signer.
+        // Writes go through the transaction manager so they show in the Transactions tab.
+        const runner = this.signer || this.provider;
+        const send = (contract, method, args, { description } = {}) =>
+            this.sendTransaction(contract, method, args, description);
+        const { deploymentBlock } = this.contractAddresses;
+
+        this.identityRegistry = new DIDSystemSDK.IdentityClient(
+            this.contractAddresses.identityRegistry,
+            runner,
+            { send, deploymentBlock }
+        );
+
+        this.credentialRegistry = new DIDSystemSDK.CredentialClient(
+            this.contractAddresses.credentialRegistry,
+            runner,
+            { send, deploymentBlock }
+        );
+
+        // Without a Multicall deployment the batcher falls back to one call per read
+        const multicall = this.contractAddresses.multicall
+            ? new ethers.Contract(this.contractAddresses.multicall, ContractABIs.Multicall, this.provider)
+            : null;
+        this.batcher = new MulticallBatcher(multicall);
+    }
+
+    async sendTransaction(contract, method, args, description) {
+        // The overlay covers signing only; mining progress shows in the Transactions tab
+        return this.transactions.send(contract, method, args, {
+            description,
+            onSubmitted: () => this.showLoading(false)
+        });
+    }
+
+    describeError(error) {
+        return TransactionManager.explainError(error);
+    }
+
+    renderTransactions(transactions) {
+        const list = document.getElementById('transactionsList');
+        const pendingCount = transactions.filter(({ status }) => status === 'pending').length;
+        const badge = document.getElementById('pendingTxCount');
+        badge.textContent = pendingCount;
+        badge.classList.toggle('hidden', pendingCount === 0);
+
+        list.innerHTML = '';
+        if (transactions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm text-gray-500';
+            empty.textContent = 'No transactions yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        const statusColors = {
+            pending: 'yellow',
+            confirmed: 'green',
+            failed: 'red',
+            replaced: 'gray',
+            cancelled: 'gray'
+        };
+
+        transactions.forEach(record => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center bg-white border rounded-lg px-4 py-3';
+
+            const info = document.createElement('div');
+            const description = document.createElement('p');
+            description.className = 'text-sm font-medium text-gray-900';
+            description.textContent = record.description;
+            const meta = document.createElement('p');
+            meta.className = 'text-xs text-gray-500 font-mono';
+            meta.textContent = `${record.hash.slice(0, 10)}…${record.hash.slice(-8)} · nonce ${record.nonce} · ` +
+                new Date(record.submittedAt).toLocaleString();
+            info.append(description, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'flex items-center space-x-3';
+            const color = statusColors[record.status] || 'gray';
+            const status = document.createElement('span');
+            status.className = `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-${color}-100 text-${color}-800`;
+            status.textContent = record.status;
+            actions.appendChild(status);
+
+            if (record.status === 'pending') {
+                const speedUp = document.createElement('button');
+                speedUp.className = 'text-blue-600 hover:text-blue-800 text-sm';
+                speedUp.innerHTML = '<i class="fas fa-forward mr-1"></i>Speed Up';
+                speedUp.addEventListener('click', () => this.replaceTransaction(record.hash, 'speedUp'));
+                const cancel = document.createElement('button');
+                cancel.className = 'text-red-600 hover:text-red-800 text-sm';
+                cancel.innerHTML = '<i class="fas fa-ban mr-1"></i>Cancel';
+                cancel.addEventListener('click', () => this.replaceTransaction(record.hash, 'cancel'));
+                actions.append(speedUp, cancel);
+            }
+
+            row.append(info, actions);
+            list.appendChild(row);
+        });
+    }
+
+    async replaceTransaction(hash, action) {
+        try {
+            await this.transactions[action](hash);
+            this.showMessage(action === 'cancel' ? 'Cancellation sent' : 'Transaction resent with a higher fee', 'info');
+        } catch (error) {
+            console.error('Error replacing transaction:', error);
+            this.showMessage('Failed to replace transaction: ' + this.describeError(error), 'error');
+        }
+    }
+
+    async loadUserData() {
+        // A new account or deployment starts from what was cached for it; the chain reads below replace it
+        const cached = this.userDID ? null : await this.renderCachedUserData();
+
+        try {
+            // Check if user has a DID
+            const hasDID = await this.identityRegistry.hasActiveDID(this.userAddress);
+            
+            if (hasDID) {
+                const didDoc = await this.identityRegistry.resolveDID(this.userAddress);
+                this.userDID = didDoc.id;
+                this.displayDIDDetails(didDoc);
+            } else {
+                this.userDID = null;
+                this.userCredentials = [];
+                this.renderCredentialList();
+                this.showCreateDIDForm();
+                await this.cacheUserData();
+            }
+
+            // Load credentials if user has DID
+            if (this.userDID) {
+                await this.loadUserCredentials();
+            }
+            document.getElementById('offlineCacheNotice').classList.add('hidden');
+
+            // Update stats
+            await this.updateStats();
+
+            // Keep the dashboard in sync with changes made by others
+            this.subscribeToEvents();
+
+        } catch (error) {
+            console.error('Error loading user data:', error);
+            this.showMessage('Failed to load user data: ' + this.describeError(error), 'error');
+            if (cached) {
+                this.showOfflineCacheNotice(`Could not reach the chain. Showing data cached on ${new Date(cached.savedAt).toLocaleString()}.`);
+            }
+            return;
+        }
+
+        // The issuer and admin panels scan event logs, which RPCs may refuse;
+        // their failures are reported on their own and leave the holder's data in place
+        try {
+            await this.loadIssuedCredentials();
+        } catch (error) {
+            console.error('Error loading issued credentials:', error);
+            this.showMessage('Failed to load the credentials you issued: ' + this.describeError(error), 'error');
+        }
+
+        try {
+            await this.loadAdminState();
+        } catch (error) {
+            console.error('Error loading admin console:', error);
+            this.showMessage('Failed to load the admin console: ' + this.describeError(error), 'error');
+        }
+    }
+
+    cacheScope() {
+        const { identityRegistry, credentialRegistry } = this.contractAddresses;
+        return { chainId: this.chainId, identityRegistry, credentialRegistry, holder: this.userAddress };
+    }
+
+    /**
+     * Show the cached DID document and credentials for the connected account.
+     * @returns The cache record, or null when nothing was rendered
+     */
+    async renderCachedUserData() {
+        try {
+            const cached = await this.offlineCache.load(this.cacheScope());
+            this.lastSeenCredentials = cached ? cached.credentials : [];
+            if (!cached || !cached.didDocument) return null;
+
+            this.userDID = cached.didDocument.id;
+            this.displayDIDDetails(cached.didDocument);
+            this.userCredentials = cached.credentials;
+            this.renderCredentialFilterOptions();
+            this.renderCredentialList();
+            this.renderExpiringCredentials();
+            await this.updateStats();
+            this.showOfflineCacheNotice(`Showing data cached on ${new Date(cached.savedAt).toLocaleString()} while the chain is checked.`);
+            return cached;
+
+        } catch (error) {
+            // Without IndexedDB (e.g. in some private windows) the dashboard waits for the chain
+            console.warn('Could not read the offline cache:', error);
+            return null;
+        }
+    }
+
+    async cacheUserData() {
+        try {
+            await this.offlineCache.save(this.cacheScope(), {
+                didDocument: this.userDID ? this.didDocument : null,
+                credentials: this.userCredentials
+            });
+        } catch (error) {
+            console.warn('Could not update the offline cache:', error);
+        }
+    }
+
+    showOfflineCacheNotice(text) {
+        document.getElementById('offlineCacheNoticeText').textContent = text;
+        document.getElementById('offlineCacheNotice').classList.remove('hidden');
+    }
+
+    async createDID() {
+        try {
+            const did = document.getElementById('didInput').value;
+            const verificationMethod = document.getElementById('verificationMethodInput').value;
+
+            if (!did || !verificationMethod) {
+                this.showMessage('Please fill in all required fields', 'error');
+                return;
+            }
+
+            this.showLoading(true);
+
+            const context = ["https://www.w3.org/ns/did/v1"];
+            const verificationMethods = [verificationMethod];
+
+            await this.identityRegistry.createDID(did, context, verificationMethods, { description: `Create DID ${did}` });
+
+            this.showMessage('DID created successfully!', 'success');
+            await this.loadUserData();
+
+        } catch (error) {
+            console.error('Error creating DID:', error);
+            this.showMessage('Failed to create DID: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async updateDID() {
+        try {
+            const did = this.userDID;
+            const context = document.getElementById('didContextInput').value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean);
+
+            if (context.length === 0) {
+                this.showMessage('Please enter at least one context', 'error');
+                return;
+            }
+
+            this.showLoading(true);
+
+            // updateDID replaces the whole array, so resubmit the existing methods unchanged
+            const verificationMethods = [...this.didDocument.verificationMethod];
+
+            await this.identityRegistry.updateDID(did, context, verificationMethods, { description: `Update DID ${did}` });
+
+            this.showMessage('DID updated successfully!', 'success');
+            await this.loadUserData();
+
+        } catch (error) {
+            console.error('Error updating DID:', error);
+            this.showMessage('Failed to update DID: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async addVerificationMethod() {
+        try {
+            const method = document.getElementById('newVerificationMethodInput').value.trim();
+
+            if (!DIDDocuments.isVerificationMethodEntry(method)) {
+                this.showMessage('Enter a DID URL such as #key-2, or a JSON object with id and type', 'error');
+                return;
+            }
+
+            this.showLoading(true);
+            await this.identityRegistry.addVerificationMethod(this.userDID, method, { description: `Add verification method to ${this.userDID}` });
+
+            document.getElementById('newVerificationMethodInput').value = '';
+            this.showMessage('Verification method added', 'success');
+            await this.refreshDIDDetails();
+
+        } catch (error) {
+            console.error('Error adding verification method:', error);
+            this.showMessage('Failed to add verification method: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async addServiceEndpoint() {
+        try {
+            const endpoint = document.getElementById('newServiceEndpointInput').value.trim();
+
+            if (!DIDDocuments.isServiceEntry(endpoint)) {
+                this.showMessage('Enter a URL, or a JSON object with a serviceEndpoint', 'error');
+                return;
+            }
+
+            this.showLoading(true);
+            await this.identityRegistry.addServiceEndpoint(this.userDID, endpoint, { description: `Add service endpoint to ${this.userDID}` });
+
+            document.getElementById('newServiceEndpointInput').value = '';
+            this.showMessage('Service endpoint added', 'success');
+            await this.refreshDIDDetails();
+
+        } catch (error) {
+            console.error('Error adding service endpoint:', error);
+            this.showMessage('Failed to add service endpoint: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    downloadDIDDocument() {
+        const w3cDocument = DIDDocuments.toW3C(this.didDocument, { chainId: this.chainId, account: this.userAddress });
+        const blob = new Blob([JSON.stringify(w3cDocument, null, 2)], { type: 'application/did+json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.didDocument.id.replace(/[^a-z0-9]+/gi, '-')}.did.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async deactivateDID() {
+        try {
+            if (!confirm('Are you sure you want to deactivate your DID? This action cannot be undone.')) {
+                return;
+            }
+
+            this.showLoading(true);
+
+            await this.identityRegistry.deactivateDID(this.userDID, { description: `Deactivate DID ${this.userDID}` });
+
+            this.showMessage('DID deactivated successfully!', 'success');
+            await this.loadUserData();
+
+        } catch (error) {
+            console.error('Error deactivating DID:', error);
+            this.showMessage('Failed to deactivate DID: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async loadUserCredentials() {
+        try {
+            const credentialIds = await this.credentialRegistry.getSubjectCredentials(this.userDID);
+            
+            // Read every credential, its validity and its claims in one batched round-trip
+            const results = await this.batcher.call(credentialIds.flatMap(id => [
+                { contract: this.credentialRegistry.contract, method: 'getCredential', args: [id] },
+                { contract: this.credentialRegistry.contract, method: 'verifyCredential', args: [id] },
+                { contract: this.credentialRegistry.contract, method: 'getAllCredentialClaims', args: [id] }
+            ]));
+            
+            const entries = [];
+
+            credentialIds.forEach((id, i) => {
+                const [credentialResult, validityResult, claimsResult] = results.slice(i * 3, i * 3 + 3);
+                if (!credentialResult.success) {
+                    console.error(`Error loading credential ${id}:`, credentialResult.error);
+                    return;
+                }
+
+                entries.push({
+                    id,
+                    credential: DIDSystemSDK.toCredential(credentialResult.value),
+                    isValid: validityResult.success && validityResult.value,
+                    claims: claimsResult.success ? DIDSystemSDK.toClaims(claimsResult.value) : []
+                });
+            });
+
+            // Flag credentials whose status changed since they were last seen
+            this.userCredentials = OfflineCache.reconcile(this.lastSeenCredentials, entries);
+            this.lastSeenCredentials = entries;
+
+            this.renderCredentialFilterOptions();
+            this.renderCredentialList();
+            this.renderExpiringCredentials();
+            await this.cacheUserData();
+
+        } catch (error) {
+            console.error('Error loading credentials:', error);
+            this.showMessage('Failed to load credentials: ' + this.describeError(error), 'error');
+        }
+    }
+
+    readCredentialFilters() {
+        // Date inputs bound the issuance date in local time, including the whole "to" day
+        const date = (id, time) => {
+            const value = document.getElementById(id).value;
+            return value ? Math.floor(new Date(`${value}T${time}`).getTime() / 1000) : null;
+        };
+
+        return {
+            search: document.getElementById('credentialSearchInput').value,
+            type: document.getElementById('credentialTypeFilter').value,
+            issuer: document.getElementById('credentialIssuerFilter').value,
+            status: document.getElementById('credentialStatusFilter').value,
+            from: date('credentialIssuedFromFilter', '00:00:00'),
+            to: date('credentialIssuedToFilter', '23:59:59'),
+            sort: document.getElementById('credentialSortSelect').value
+        };
+    }
+
+    renderCredentialFilterOptions() {
+        const { types, issuers } = CredentialFilters.options(this.userCredentials);
+
+        [['credentialTypeFilter', types], ['credentialIssuerFilter', issuers]].forEach(([id, values]) => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            const [allOption] = select.options;
+            select.replaceChildren(allOption, ...values.map(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                return option;
+            }));
+            // Keep the selection when the holder still has a matching credential
+            select.value = values.includes(selected) ? selected : '';
+        });
+    }
+
+    renderCredentialList() {
+        const visible = CredentialFilters.apply(this.userCredentials, this.readCredentialFilters());
+        const credentialsList = document.getElementById('credentialsList');
+
+        credentialsList.replaceChildren(...visible.map(({ id, credential, isValid, statusChange }) =>
+            this.createCredentialCard(id, credential, isValid, statusChange)
+        ));
+
+        if (visible.length === 0 && this.userCredentials.length > 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm text-gray-500';
+            empty.textContent = 'No credentials match the current filters.';
+            credentialsList.appendChild(empty);
+        }
+
+        document.getElementById('credentialFilterSummary').textContent =
+            `Showing ${visible.length} of ${this.userCredentials.length} credential${this.userCredentials.length === 1 ? '' : 's'}`;
+    }
+
+    clearCredentialFilters() {
+        ['credentialSearchInput', 'credentialTypeFilter', 'credentialIssuerFilter', 'credentialStatusFilter',
+            'credentialIssuedFromFilter', 'credentialIssuedToFilter'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('credentialSortSelect').value = CredentialFilters.DEFAULT_CRITERIA.sort;
+        this.renderCredentialList();
+    }
+
+    createCredentialCard(id, credential, isValid, statusChange = null) {
+        return Views.credentialCard(id, credential, isValid, {
+            onView: () => this.navigate({ name: 'credential', param: id }),
+            onVerify: () => this.navigate(this.verifyRoute(id))
+        }, statusChange);
+    }
+
+    async showAddCredentialModal() {
+        try {
+            if (!this.credentialRegistry) {
+                this.showMessage('Please connect your wallet first', 'error');
+                return;
+            }
+
+            this.showLoading(true);
+
+            const isIssuer = await this.credentialRegistry.authorizedIssuers(this.userAddress);
+            if (!isIssuer) {
+                this.showMessage('Your account is not an authorized issuer', 'error');
+                return;
+            }
+
+            this.issuerDID = await this.credentialRegistry.issuerDIDs(this.userAddress);
+            const credentialTypes = await this.loadSupportedCredentialTypes();
+
+            const typeSelect = document.getElementById('credentialTypeSelect');
+            typeSelect.innerHTML = '';
+            credentialTypes.forEach(credentialType => {
+                const option = document.createElement('option');
+                option.value = credentialType;
+                option.textContent = credentialType;
+                typeSelect.appendChild(option);
+            });
+
+            this.resetAddCredentialForm();
+            document.getElementById('issuerDIDLabel').textContent = this.issuerDID;
+            document.getElementById('addCredentialModal').classList.remove('hidden');
+
+        } catch (error) {
+            console.error('Error opening issuance form:', error);
+            this.showMessage('Failed to open issuance form: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    hideAddCredentialModal() {
+        document.getElementById('addCredentialModal').classList.add('hidden');
+    }
+
+    async loadSupportedCredentialTypes() {
+        // The registry keeps supported types in a mapping, so candidates come from
+        // the known defaults plus every type ever announced by the owner
+        const candidates = new Set(DEFAULT_CREDENTIAL_TYPES);
+        const registry = this.credentialRegistry.contract;
+        const events = await this.credentialRegistry.queryEvents(
+            registry.filters.CredentialTypeSupported()
+        );
+        events.forEach(event => candidates.add(event.args.credentialType));
+
+        // One batched round-trip for every candidate's mapping entry
+        const types = [...candidates];
+        const results = await this.batcher.call(types.map(credentialType => (
+            { contract: registry, method: 'supportedCredentialTypes', args: [credentialType] }
+        )));
+
+        return types.filter((credentialType, i) => {
+            if (!results[i].success) {
+                console.error(`Error checking credential type ${credentialType}:`, results[i].error);
+            }
+            return results[i].success && results[i].value;
+        });
+    }
+
+    resetAddCredentialForm() {
+        document.getElementById('credentialSubjectInput').value = '';
+        document.getElementById('credentialExpirationInput').value = '';
+        document.getElementById('credentialSchemaInput').value = '';
+        document.getElementById('selectiveDisclosureInput').checked = false;
+        document.getElementById('zkProofInput').value = '';
+        document.getElementById('claimRows').innerHTML = '';
+        document.querySelector('input[name="issueMode"][value="standard"]').checked = true;
+        this.setIssueMode('standard');
+        this.addClaimRow();
+    }
+
+    setIssueMode(mode) {
+        document.getElementById('standardIssueFields').classList.toggle('hidden', mode !== 'standard');
+        document.getElementById('zkProofIssueFields').classList.toggle('hidden', mode !== 'zkProof');
+    }
+
+    addClaimRow() {
+        const row = document.createElement('div');
+        row.className = 'claim-row flex space-x-2';
+        row.innerHTML = `
+            <input type="text" class="claim-key w-1/3 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="Claim key (e.g. degree)">
+            <input type="text" class="claim-value flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="Claim value">
+            <button type="button" class="text-red-600 hover:text-red-800 px-2" title="Remove claim">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        document.getElementById('claimRows').appendChild(row);
+    }
+
+    readClaimRows() {
+        const claims = [];
+
+        for (const row of document.querySelectorAll('#claimRows .claim-row')) {
+            const key = row.querySelector('.claim-key').value.trim();
+            const value = row.querySelector('.claim-value').value;
+
+            if (!key && !value) continue;
+            if (!key) {
+                throw new Error('Every claim needs a key');
+            }
+            if (claims.some(claim => claim.key === key)) {
+                throw new Error(`Duplicate claim key "${key}"`);
+            }
+
+            claims.push({ key, value });
+        }
+
+        return claims;
+    }
+
+    readExpirationDate() {
+        const value = document.getElementById('credentialExpirationInput').value;
+        if (!value) return 0;
+
+        // Credentials stay valid until the end of the chosen day
+        const expirationDate = Math.floor(new Date(`${value}T23:59:59`).getTime() / 1000);
+        if (expirationDate <= Math.floor(Date.now() / 1000)) {
+            throw new Error('Expiration date must be in the future');
+        }
+        return expirationDate;
+    }
+
+    async issueCredential() {
+        try {
+            const subject = document.getElementById('credentialSubjectInput').value.trim();
+            const credentialType = document.getElementById('credentialTypeSelect').value;
+            const mode = document.querySelector('input[name="issueMode"]:checked').value;
+
+            if (!subject || !credentialType) {
+                this.showMessage('Please fill in all required fields', 'error');
+                return;
+            }
+
+            let expirationDate;
+            let claims;
+            try {
+                expirationDate = this.readExpirationDate();
+                claims = mode === 'standard' ? this.readClaimRows() : null;
+            } catch (validationError) {
+                this.showMessage(validationError.message, 'error');
+                return;
+            }
+
+            let issued;
+            if (mode === 'zkProof') {
+                const zkProof = document.getElementById('zkProofInput').value.trim();
+                if (!zkProof) {
+                    this.showMessage('Please enter the zero-knowledge proof', 'error');
+                    return;
+                }
+
+                this.showLoading(true);
+                issued = await this.credentialRegistry.issueCredentialWithZKProof(
+                    { subject, credentialType, zkProof, expirationDate },
+                    { description: `Issue ${credentialType} (ZK proof) to ${subject}` }
+                );
+            } else {
+                const credentialSchema = document.getElementById('credentialSchemaInput').value.trim();
+                const selectiveDisclosure = document.getElementById('selectiveDisclosureInput').checked;
+
+                this.showLoading(true);
+                issued = await this.credentialRegistry.issueCredential(
+                    { subject, credentialType, claims, expirationDate, credentialSchema, selectiveDisclosure },
+                    { description: `Issue ${credentialType} to ${subject}` }
+                );
+            }
+
+            const credentialLabel = issued.credentialId !== null ? ` #${issued.credentialId}` : '';
+
+            this.hideAddCredentialModal();
+            this.showMessage(`Credential${credentialLabel} issued successfully!`, 'success');
+            await this.loadUserData();
+
+        } catch (error) {
+            console.error('Error issuing credential:', error);
+            this.showMessage('Failed to issue credential: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async viewCredentialDetails(credentialId) {
+        try {
+            this.showLoading(true);
+
+            const [credential, claims, history] = await Promise.all([
+                this.credentialRegistry.getCredential(credentialId),
+                this.credentialRegistry.getAllCredentialClaims(credentialId),
+                this.loadCredentialHistory(credentialId)
+            ]);
+
+            this.displayCredentialDetails(credentialId, credential, claims, history);
+
+        } catch (error) {
+            console.error('Error loading credential details:', error);
+            this.showMessage('Failed to load credential details: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async loadCredentialHistory(credentialId) {
+        const registry = this.credentialRegistry.contract;
+
+        // One scan for all four lifecycle events: any of their topics, with this credential ID
+        const topicFilters = await Promise.all(Object.keys(HISTORY_ACTIONS).map(eventName =>
+            registry.filters[eventName](credentialId).getTopicFilter()
+        ));
+        const events = await this.credentialRegistry.queryEvents([topicFilters.map(([topic]) => topic), topicFilters[0][1]]);
+
+        // Events come back in chain order
+        const history = events.map(event => ({ event, ...HISTORY_ACTIONS[event.eventName](event.args) }));
+
+        // Several lifecycle changes often land in the same block
+        const blockTimes = new Map();
+        for (const entry of history) {
+            if (!blockTimes.has(entry.event.blockNumber)) {
+                const block = await entry.event.getBlock();
+                blockTimes.set(entry.event.blockNumber, block.timestamp);
+            }
+        }
+
+        return history.map(entry => ({
+            action: entry.action,
+            detail: entry.detail,
+            timestamp: blockTimes.get(entry.event.blockNumber),
+            transactionHash: entry.event.transactionHash
+        }));
+    }
+
+    displayCredentialDetails(credentialId, credential, claims, history) {
+        this.credentialDetails = { credentialId, credential, claims };
+        document.getElementById('credentialDetailsTitle').textContent = `Credential #${credentialId}`;
+
+        const fields = [
+            ['Identifier', credential.id],
+            ['Type', credential.credType.join(', ')],
+            ['Issuer', credential.issuer],
+            ['Subject', credential.subject],
+            ['Status', credential.credentialStatus],
+            ['Issued', new Date(Number(credential.issuanceDate) * 1000).toLocaleString()],
+            ['Expires', credential.expirationDate > 0 ? new Date(Number(credential.expirationDate) * 1000).toLocaleString() : 'Never'],
+            ['Schema', credential.credentialSchema || '-'],
+            ['Selective Disclosure', credential.selectiveDisclosure ? 'Supported' : 'Not supported'],
+            ['Zero-Knowledge Proof', credential.zkProof || '-']
+        ];
+
+        const fieldList = document.getElementById('credentialDetailsFields');
+        fieldList.innerHTML = '';
+        fields.forEach(([label, value]) => {
+            const wrapper = document.createElement('div');
+            const term = document.createElement('dt');
+            term.className = 'font-medium text-gray-500';
+            term.textContent = label;
+            const definition = document.createElement('dd');
+            definition.className = 'text-gray-900 break-all';
+            definition.textContent = value;
+            wrapper.append(term, definition);
+            fieldList.appendChild(wrapper);
+        });
+
+        document.getElementById('credentialClaimsBody').replaceChildren(...Views.claimRows(claims));
+
+        const historyList = document.getElementById('credentialHistoryList');
+        historyList.innerHTML = '';
+        history.forEach(entry => {
+            const item = document.createElement('li');
+            const heading = document.createElement('p');
+            heading.className = 'font-medium text-gray-900';
+            heading.textContent = `${entry.action} · ${new Date(entry.timestamp * 1000).toLocaleString()}`;
+            item.appendChild(heading);
+
+            if (entry.detail) {
+                const detail = document.createElement('p');
+                detail.className = 'text-gray-600';
+                detail.textContent = entry.action === 'Issued' ? `Type: ${entry.detail}` : `Reason: ${entry.detail}`;
+                item.appendChild(detail);
+            }
+
+            const txHash = document.createElement('p');
+            txHash.className = 'text-xs text-gray-400 font-mono break-all';
+            txHash.textContent = entry.transactionHash;
+            item.appendChild(txHash);
+
+            historyList.appendChild(item);
+        });
+
+        document.getElementById('credentialDetailsModal').classList.remove('hidden');
+    }
+
+    showCertificate() {
+        const { credentialId, credential, claims } = this.credentialDetails;
+        // The QR code links back to this page's verification route
+        const verifyUrl = location.href.split('#')[0] + Router.format(this.verifyRoute(credentialId));
+
+        document.getElementById('certificateDocument').replaceChildren(Certificates.render({
+            credentialId,
+            credential,
+            claims,
+            verifyUrl,
+            registryAddress: this.contractAddresses.credentialRegistry,
+            chainId: this.chainId,
+            networkName: this.networkName
+        }));
+        document.getElementById('certificateModal').classList.remove('hidden');
+    }
+
+    hideCertificate() {
+        document.getElementById('certificateModal').classList.add('hidden');
+    }
+
+    showPresentation() {
+        const { credentialId } = this.credentialDetails;
+        document.getElementById('presentationNonceInput').value = Presentations.randomNonce();
+        this.renderPresentation({
+            chainId: this.chainId,
+            registry: this.contractAddresses.credentialRegistry,
+            credentialId: credentialId.toString()
+        });
+        document.getElementById('presentationModal').classList.remove('hidden');
+    }
+
+    renderPresentation(presentation) {
+        this.presentation = presentation;
+        const payload = Presentations.encode(presentation);
+        document.getElementById('presentationQr').replaceChildren(Certificates.qrCode(payload, 240));
+        document.getElementById('presentationPayload').value = payload;
+    }
+
+    hidePresentation() {
+        document.getElementById('presentationModal').classList.add('hidden');
+        this.presentation = null;
+    }
+
+    async signPresentation() {
+        try {
+            this.showLoading(true);
+
+            const nonce = document.getElementById('presentationNonceInput').value.trim() || Presentations.randomNonce();
+            this.renderPresentation(await Presentations.sign(this.signer, this.presentation, nonce));
+            this.showMessage('Presentation signed', 'success');
+
+        } catch (error) {
+            console.error('Error signing presentation:', error);
+            this.showMessage('Failed to sign presentation: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async copyPresentation() {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('presentationPayload').value);
+            this.showMessage('Presentation payload copied', 'success');
+        } catch (error) {
+            this.showMessage('Failed to copy payload: ' + this.describeError(error), 'error');
+        }
+    }
+
+    hideCredentialDetails() {
+        document.getElementById('credentialDetailsModal').classList.add('hidden');
+
+        const route = Router.parse(location.hash);
+        if (route && route.name === 'credential') {
+            this.navigate({ name: 'credentials' });
+        }
+    }
+
+    setExpiryHorizon(days) {
+        this.expiryHorizonDays = Number(days);
+        localStorage.setItem(EXPIRY_HORIZON_STORAGE_KEY, String(this.expiryHorizonDays));
+        this.renderExpiringCredentials();
+        document.getElementById('expiringCount').textContent = this.getExpiringCredentials().length;
+    }
+
+    getExpiringCredentials() {
+        const now = Math.floor(Date.now() / 1000);
+        const horizon = now + this.expiryHorizonDays * SECONDS_PER_DAY;
+
+        return this.userCredentials
+            .filter(({ credential }) => {
+                const expirationDate = Number(credential.expirationDate);
+                return credential.credentialStatus !== 'revoked' &&
+                    expirationDate > now &&
+                    expirationDate <= horizon;
+            })
+            .sort((a, b) => Number(a.credential.expirationDate) - Number(b.credential.expirationDate));
+    }
+
+    renderExpiringCredentials() {
+        const list = document.getElementById('expiringCredentialsList');
+        const expiring = this.getExpiringCredentials();
+        list.innerHTML = '';
+
+        if (expiring.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-orange-700';
+            empty.textContent = `No credentials expire in the next ${this.expiryHorizonDays} days.`;
+            list.appendChild(empty);
+            return;
+        }
+
+        const byIssuer = new Map();
+        expiring.forEach(entry => {
+            const issuer = entry.credential.issuer;
+            if (!byIssuer.has(issuer)) byIssuer.set(issuer, []);
+            byIssuer.get(issuer).push(entry);
+        });
+
+        const renewalRequests = this.getRenewalRequests();
+        const now = Math.floor(Date.now() / 1000);
+
+        byIssuer.forEach((entries, issuer) => {
+            const group = document.createElement('div');
+            const heading = document.createElement('p');
+            heading.className = 'font-medium text-orange-900 break-all';
+            heading.textContent = `Issued by ${issuer}`;
+            group.appendChild(heading);
+
+            entries.forEach(({ id, credential }) => {
+                const daysLeft = Math.ceil((Number(credential.expirationDate) - now) / SECONDS_PER_DAY);
+                const row = document.createElement('div');
+                row.className = 'flex justify-between items-center bg-white border border-orange-100 rounded-md px-3 py-2 mt-2';
+
+                const label = document.createElement('span');
+                label.className = 'text-gray-700';
+                label.textContent = `#${id} ${credential.credType.join(', ')} · expires ` +
+                    `${new Date(Number(credential.expirationDate) * 1000).toLocaleDateString()} (${daysLeft} days)`;
+                row.appendChild(label);
+
+                const requestedAt = renewalRequests[this.getRenewalRequestKey(id)];
+                if (requestedAt) {
+                    const requested = document.createElement('span');
+                    requested.className = 'text-xs text-gray-500';
+                    requested.textContent = `Renewal requested ${new Date(requestedAt).toLocaleDateString()}`;
+                    row.appendChild(requested);
+                } else {
+                    const button = document.createElement('button');
+                    button.className = 'text-orange-700 hover:text-orange-900 text-sm';
+                    button.innerHTML = '<i class="fas fa-redo mr-1"></i>Request Renewal';
+                    button.addEventListener('click', () => this.requestRenewal(id));
+                    row.appendChild(button);
+                }
+
+                group.appendChild(row);
+            });
+
+            list.appendChild(group);
+        });
+    }
+
+    getRenewalRequests() {
+        try {
+            return JSON.parse(localStorage.getItem(RENEWAL_REQUESTS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable renewal requests:', error);
+            return {};
+        }
+    }
+
+    getRenewalRequestKey(credentialId) {
+        return `${this.chainId}:${this.contractAddresses.credentialRegistry}:${credentialId}`;
+    }
+
+    async requestRenewal(credentialId) {
+        try {
+            const entry = this.userCredentials.find(({ id }) => id.toString() === credentialId.toString());
+            const { credential } = entry;
+
+            const subject = `Renewal request for credential #${credentialId}`;
+            const body = [
+                `Holder: ${credential.subject}`,
+                `Credential: #${credentialId} (${credential.id})`,
+                `Type: ${credential.credType.join(', ')}`,
+                `Expires: ${new Date(Number(credential.expirationDate) * 1000).toISOString()}`,
+                `Registry: ${this.contractAddresses.credentialRegistry} on chain ${this.chainId}`
+            ].join('\n');
+
+            // Issuers can publish a mailto: or https: service endpoint in their DID document
+            const endpoint = await this.findIssuerContactEndpoint(credential.issuer);
+            if (endpoint && endpoint.startsWith('mailto:')) {
+                const address = endpoint.slice('mailto:'.length).split('?')[0];
+                window.location.href = `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+            } else if (endpoint) {
+                window.open(endpoint, '_blank', 'noopener');
+                await navigator.clipboard.writeText(body);
+                this.showMessage('Renewal details copied. Paste them into the issuer\'s form.', 'info');
+            } else {
+                await navigator.clipboard.writeText(`${subject}\n\n${body}`);
+                this.showMessage('The issuer has no contact endpoint. Renewal request copied to the clipboard.', 'warning');
+            }
+
+            const renewalRequests = this.getRenewalRequests();
+            renewalRequests[this.getRenewalRequestKey(credentialId)] = Date.now();
+            localStorage.setItem(RENEWAL_REQUESTS_STORAGE_KEY, JSON.stringify(renewalRequests));
+            this.renderExpiringCredentials();
+
+        } catch (error) {
+            console.error('Error requesting renewal:', error);
+            this.showMessage('Failed to request renewal: ' + this.describeError(error), 'error');
+        }
+    }
+
+    async findIssuerContactEndpoint(issuerDID) {
+        try {
+            const issuerDoc = await this.identityRegistry.resolveDIDById(issuerDID);
+            return issuerDoc.service.find(endpoint => /^(mailto|https?):/.test(endpoint)) || null;
+        } catch (error) {
+            // Issuer DIDs are not required to be registered in the identity registry
+            return null;
+        }
+    }
+
+    async loadIssuedCredentials() {
+        const panel = document.getElementById('issuedCredentialsPanel');
+        const isIssuer = await this.credentialRegistry.authorizedIssuers(this.userAddress);
+        panel.classList.toggle('hidden', !isIssuer);
+        if (!isIssuer) {
+            this.issuedCredentials = [];
+            return;
+        }
+
+        this.issuerDID = await this.credentialRegistry.issuerDIDs(this.userAddress);
+
+        // The issuer DID is an indexed topic of CredentialIssued
+        const registry = this.credentialRegistry.contract;
+        const events = await this.credentialRegistry.queryEvents(registry.filters.CredentialIssued(null, this.issuerDID));
+        const ids = events.map(event => event.args.credentialId);
+
+        const results = await this.batcher.call(ids.flatMap(id => [
+            { contract: registry, method: 'getCredential', args: [id] },
+            { contract: registry, method: 'verifyCredential', args: [id] }
+        ]));
+
+        this.issuedCredentials = [];
+        ids.forEach((id, i) => {
+            const [credentialResult, validityResult] = results.slice(i * 2, i * 2 + 2);
+            if (credentialResult.success) {
+                this.issuedCredentials.push({
+                    id,
+                    credential: DIDSystemSDK.toCredential(credentialResult.value),
+                    isValid: validityResult.success && validityResult.value
+                });
+            }
+        });
+
+        // Drop selections for credentials that are no longer listed
+        const listed = new Set(this.issuedCredentials.map(({ id }) => id.toString()));
+        this.selectedIssuedIds = new Set([...this.selectedIssuedIds].filter(id => listed.has(id)));
+
+        this.renderIssuedCredentials();
+    }
+
+    renderIssuedCredentials() {
+        const list = document.getElementById('issuedCredentialsList');
+        list.innerHTML = '';
+
+        if (this.issuedCredentials.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-500">You have not issued any credentials yet.</p>';
+        }
+
+        const statusColors = { active: 'green', suspended: 'yellow', revoked: 'red' };
+
+        this.issuedCredentials.forEach(({ id, credential, isValid }) => {
+            const key = id.toString();
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center bg-white border rounded-lg px-4 py-3';
+
+            const info = document.createElement('label');
+            info.className = 'flex items-center space-x-3 text-sm';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selectedIssuedIds.has(key);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.selectedIssuedIds.add(key);
+                } else {
+                    this.selectedIssuedIds.delete(key);
+                }
+                this.updateIssuedSelection();
+            });
+            const text = document.createElement('span');
+            text.innerHTML = '<span class="font-medium text-gray-900"></span><span class="text-gray-500 ml-2"></span>';
+            text.children[0].textContent = `#${key} ${credential.credType.join(', ')}`;
+            text.children[1].textContent = `→ ${credential.subject}${!isValid && credential.credentialStatus === 'active' ? ' (expired)' : ''}`;
+            info.append(checkbox, text);
+
+            const controls = document.createElement('div');
+            controls.className = 'flex items-center space-x-3';
+            const color = statusColors[credential.credentialStatus] || 'gray';
+            const status = document.createElement('span');
+            status.className = `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-${color}-100 text-${color}-800`;
+            status.textContent = credential.credentialStatus;
+            controls.appendChild(status);
+
+            Object.entries(CREDENTIAL_ACTIONS).forEach(([action, { label, appliesTo }]) => {
+                if (!appliesTo.includes(credential.credentialStatus)) return;
+                const button = document.createElement('button');
+                button.className = 'text-blue-600 hover:text-blue-800 text-sm';
+                button.textContent = label;
+                button.addEventListener('click', () => this.showCredentialActionModal(action, [key]));
+                controls.appendChild(button);
+            });
+
+            row.append(info, controls);
+            list.appendChild(row);
+        });
+
+        this.updateIssuedSelection();
+    }
+
+    selectAllIssued(selected) {
+        this.selectedIssuedIds = selected
+            ? new Set(this.issuedCredentials.map(({ id }) => id.toString()))
+            : new Set();
+        this.renderIssuedCredentials();
+    }
+
+    updateIssuedSelection() {
+        const count = this.selectedIssuedIds.size;
+        document.getElementById('issuedSelectionCount').textContent = count > 0 ? `(${count} selected)` : '';
+        document.getElementById('selectAllIssuedCheckbox').checked =
+            count > 0 && count === this.issuedCredentials.length;
+        document.querySelectorAll('.issued-bulk-action').forEach(button => {
+            button.disabled = count === 0;
+            button.classList.toggle('opacity-50', count === 0);
+        });
+    }
+
+    showCredentialActionModal(action, ids) {
+        const config = CREDENTIAL_ACTIONS[action];
+        const selected = this.issuedCredentials.filter(({ id }) => ids.includes(id.toString()));
+        const applicable = selected.filter(({ credential }) => config.appliesTo.includes(credential.credentialStatus));
+        const skipped = selected.length - applicable.length;
+
+        if (applicable.length === 0) {
+            this.showMessage(`None of the selected credentials can be ${config.label.toLowerCase()}d`, 'warning');
+            return;
+        }
+
+        this.pendingCredentialAction = { action, ids: applicable.map(({ id }) => id) };
+
+        document.getElementById('credentialActionTitle').textContent =
+            `${config.label} ${applicable.length} credential${applicable.length === 1 ? '' : 's'}`;
+        document.getElementById('credentialActionSummary').textContent = skipped > 0
+            ? `${skipped} selected credential${skipped === 1 ? ' is' : 's are'} skipped because of their current status. Each credential is a separate transaction.`
+            : 'Each credential is a separate transaction.';
+
+        const targets = document.getElementById('credentialActionTargets');
+        targets.innerHTML = '';
+        applicable.forEach(({ id, credential }) => {
+            const item = document.createElement('li');
+            item.textContent = `#${id} ${credential.credType.join(', ')} → ${credential.subject}`;
+            targets.appendChild(item);
+        });
+
+        document.getElementById('credentialActionReason').value = '';
+        document.getElementById('credentialActionReasonField').classList.toggle('hidden', !config.needsReason);
+        document.getElementById('confirmCredentialActionBtn').textContent = config.label;
+        document.getElementById('credentialActionModal').classList.remove('hidden');
+    }
+
+    hideCredentialActionModal() {
+        this.pendingCredentialAction = null;
+        document.getElementById('credentialActionModal').classList.add('hidden');
+    }
+
+    async confirmCredentialAction() {
+        // A second click or Enter can arrive after the modal was closed
+        if (!this.pendingCredentialAction) return;
+
+        const { action, ids } = this.pendingCredentialAction;
+        const config = CREDENTIAL_ACTIONS[action];
+        const reason = document.getElementById('credentialActionReason').value.trim();
+
+        if (config.needsReason && !reason) {
+            this.showMessage('Please enter a reason', 'error');
+            return;
+        }
+
+        // Stays disabled until the whole batch is sent, so it cannot be started twice
+        const confirmButton = document.getElementById('confirmCredentialActionBtn');
+        confirmButton.disabled = true;
+        confirmButton.classList.add('opacity-50');
+        this.hideCredentialActionModal();
+
+        const failures = [];
+        try {
+            for (const id of ids) {
+                try {
+                    this.showLoading(true);
+                    const args = config.needsReason ? [id, reason] : [id];
+                    await this.credentialRegistry[config.method](...args, { description: `${config.label} credential #${id}` });
+                    this.selectedIssuedIds.delete(id.toString());
+                } catch (error) {
+                    console.error(`Error running ${action} on credential ${id}:`, error);
+                    failures.push(`#${id}: ${this.describeError(error)}`);
+                } finally {
+                    this.showLoading(false);
+                }
+            }
+        } finally {
+            confirmButton.disabled = false;
+            confirmButton.classList.remove('opacity-50');
+        }
+
+        const succeeded = ids.length - failures.length;
+        if (succeeded > 0) {
+            this.showMessage(`${config.label} succeeded for ${succeeded} credential${succeeded === 1 ? '' : 's'}`, 'success');
+        }
+        failures.forEach(failure => this.showMessage(`${config.label} failed for ${failure}`, 'error'));
+
+        await this.loadUserData();
+    }
+
+    async loadAdminState() {
+        const account = this.userAddress.toLowerCase();
+        const owners = await Promise.all(REGISTRIES.map(({ key }) => this[key].owner()));
+        this.ownedRegistries = {};
+        REGISTRIES.forEach(({ key }, i) => {
+            this.ownedRegistries[key] = owners[i].toLowerCase() === account;
+        });
+
+        const isAdmin = Object.values(this.ownedRegistries).some(Boolean);
+        document.getElementById('adminTabButton').classList.toggle('hidden', !isAdmin);
+        if (isAdmin) {
+            await this.loadAdminData();
+        }
+    }
+
+    async loadAdminData() {
+        const paused = await Promise.all(REGISTRIES.map(({ key }) => this[key].paused()));
+        this.renderRegistryStatus(paused);
+
+        // Issuers and credential types are onlyOwner settings of the CredentialRegistry
+        const ownsCredentialRegistry = Boolean(this.ownedRegistries.credentialRegistry);
+        document.getElementById('adminIssuersSection').classList.toggle('hidden', !ownsCredentialRegistry);
+        document.getElementById('adminCredentialTypesSection').classList.toggle('hidden', !ownsCredentialRegistry);
+        if (!ownsCredentialRegistry) return;
+
+        const [issuers, credentialTypes] = await Promise.all([
+            this.loadIssuerState(),
+            this.loadCredentialTypeState()
+        ]);
+        this.renderIssuers(issuers);
+        this.renderCredentialTypes(credentialTypes);
     }
 
-    setupEventListeners() {
-        // Wallet connection
-        document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
-        
-        // Tab navigation
-        document.querySelectorAll('.tab-button').forEach(button => {
-            button.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
-        });
-        
-        // Identity management
-        document.getElementById('createDIDBtn').addEventListener('click', () => this.createDID());
-        document.getElementById('updateDIDBtn').addEventListener('click', () => this.updateDID());
-        document.getElementById('deactivateDIDBtn').addEventListener('click', () => this.deactivateDID());
-        
-        // Credential management
-        document.getElementById('addCredentialBtn').addEventListener('click', () => this.showAddCredentialModal());
-        document.getElementById('verifyCredentialBtn').addEventListener('click', () => this.verifyCredential());
-        
-        // Check for MetaMask
-        if (typeof window.ethereum !== 'undefined') {
-            window.ethereum.on('accountsChanged', (accounts) => {
-                if (accounts.length === 0) {
-                    this.disconnectWallet();
+    async loadIssuerState() {
+        const registry = this.credentialRegistry.contract;
+        const [authorized, deauthorized] = await Promise.all([
+            this.credentialRegistry.queryEvents(registry.filters.IssuerAuthorized()),
+            this.credentialRegistry.queryEvents(registry.filters.IssuerDeauthorized())
+        ]);
+
+        // Replay the events in chain order to get each issuer's latest state
+        const issuers = new Map();
+        [...authorized, ...deauthorized]
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+            .forEach(event => {
+                const address = event.args.issuer;
+                if (event.eventName === 'IssuerAuthorized') {
+                    issuers.set(address, { address, did: event.args.did, authorized: true });
                 } else {
-                    this.connectWallet();
+                    issuers.set(address, { ...issuers.get(address), address, authorized: false });
                 }
             });
-        }
+
+        return [...issuers.values()];
     }
 
-    async connectWallet() {
-        try {
-            if (typeof window.ethereum === 'undefined') {
-                this.showMessage('MetaMask is not installed. Please install MetaMask to continue.', 'error');
-                return;
+    async loadCredentialTypeState() {
+        const registry = this.credentialRegistry.contract;
+        const events = await this.credentialRegistry.queryEvents(registry.filters.CredentialTypeSupported());
+
+        const credentialTypes = new Map(INITIAL_CREDENTIAL_TYPES.map(type => [type, true]));
+        events
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+            .forEach(event => credentialTypes.set(event.args.credentialType, event.args.supported));
+
+        return [...credentialTypes.entries()].map(([name, supported]) => ({ name, supported }));
+    }
+
+    renderRegistryStatus(paused) {
+        const list = document.getElementById('registryStatusList');
+        list.innerHTML = '';
+
+        REGISTRIES.forEach(({ key, label }, i) => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center bg-white border rounded-lg px-4 py-3';
+
+            const name = document.createElement('div');
+            name.innerHTML = `<p class="text-sm font-medium text-gray-900"></p><p class="text-xs text-gray-500 font-mono"></p>`;
+            name.children[0].textContent = label;
+            name.children[1].textContent = this.contractAddresses[key];
+
+            const controls = document.createElement('div');
+            controls.className = 'flex items-center space-x-3';
+            const status = document.createElement('span');
+            status.className = `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${paused[i] ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`;
+            status.textContent = paused[i] ? 'Paused' : 'Active';
+            controls.appendChild(status);
+
+            if (this.ownedRegistries[key]) {
+                const button = document.createElement('button');
+                button.className = `${paused[i] ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'} text-white px-3 py-1 rounded-md text-sm transition`;
+                button.innerHTML = paused[i] ? '<i class="fas fa-play mr-1"></i>Unpause' : '<i class="fas fa-pause mr-1"></i>Pause';
+                button.addEventListener('click', () => this.setRegistryPaused(key, label, !paused[i]));
+                controls.appendChild(button);
+            } else {
+                const note = document.createElement('span');
+                note.className = 'text-xs text-gray-500';
+                note.textContent = 'Owned by another account';
+                controls.appendChild(note);
             }
 
-            this.showLoading(true);
-            
-            // Request account access
-            const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-            this.userAddress = accounts[0];
-            
-            // Create provider and signer
-            this.provider = new ethers.providers.Web3Provider(window.ethereum);
-            this.signer = this.provider.getSigner();
-            
-            // Initialize contracts
-            await this.initializeContracts();
-            
-            // Load user data
-            await this.loadUserData();
-            
-            // Update UI
-            this.updateWalletInfo();
-            this.hideConnectionStatus();
-            this.showDashboard();
-            
-            this.showMessage('Wallet connected successfully!', 'success');
-            
-        } catch (error) {
-            console.error('Error connecting wallet:', error);
-            this.showMessage('Failed to connect wallet: ' + error.message, 'error');
-        } finally {
-            this.showLoading(false);
+            row.append(name, controls);
+            list.appendChild(row);
+        });
+    }
+
+    renderIssuers(issuers) {
+        const list = document.getElementById('issuersList');
+        list.innerHTML = '';
+
+        if (issuers.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-500">No issuers have been authorized yet.</p>';
+            return;
         }
+
+        issuers.forEach(issuer => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center bg-white border rounded-lg px-4 py-3';
+
+            const info = document.createElement('div');
+            info.innerHTML = `<p class="text-sm font-medium text-gray-900"></p><p class="text-xs text-gray-500 font-mono"></p>`;
+            info.children[0].textContent = issuer.did || '-';
+            info.children[1].textContent = issuer.address;
+
+            const controls = document.createElement('div');
+            controls.className = 'flex items-center space-x-3';
+            const status = document.createElement('span');
+            status.className = `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${issuer.authorized ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`;
+            status.textContent = issuer.authorized ? 'Authorized' : 'Deauthorized';
+            controls.appendChild(status);
+
+            if (issuer.authorized) {
+                const button = document.createElement('button');
+                button.className = 'text-red-600 hover:text-red-800 text-sm';
+                button.innerHTML = '<i class="fas fa-user-times mr-1"></i>Deauthorize';
+                button.addEventListener('click', () => this.deauthorizeIssuer(issuer.address, issuer.did));
+                controls.appendChild(button);
+            }
+
+            row.append(info, controls);
+            list.appendChild(row);
+        });
     }
 
-    async initializeContracts() {
-        // Contract ABIs (simplified - in production, load from JSON files)
-        const identityRegistryABI = [
-            "function createDID(string memory did, string[] memory context, string[] memory verificationMethod) external",
-            "function updateDID(string memory did, string[] memory context, string[] memory verificationMethod) external",
-            "function deactivateDID(string memory did) external",
-            "function resolveDID(address user) external view returns (tuple(string id, string[] context, string[] verificationMethod, string[] authentication, string[] assertionMethod, string[] capabilityInvocation, string[] capabilityDelegation, string[] keyAgreement, string[] service, uint256 created, uint256 updated, bool active))",
-            "function resolveDIDById(string memory did) external view returns (tuple(string id, string[] context, string[] verificationMethod, string[] authentication, string[] assertionMethod, string[] capabilityInvocation, string[] capabilityDelegation, string[] keyAgreement, string[] service, uint256 created, uint256 updated, bool active))",
-            "function hasActiveDID(address user) external view returns (bool)",
-            "function getTotalDIDs() external view returns (uint256)"
-        ];
+    renderCredentialTypes(credentialTypes) {
+        const list = document.getElementById('credentialTypesList');
+        list.innerHTML = '';
 
-        const credentialRegistryABI = [
-            "function issueCredential(string memory subject, string memory credentialType, string[] memory claimKeys, string[] memory claimValues, uint256 expirationDate, string memory credentialSchema, bool supportsSelectiveDisclosure) external",
-            "function issueCredentialWithZKProof(string memory subject, string memory credentialType, string memory zkProof, uint256 expirationDate) external",
-            "function revokeCredential(uint256 credentialId, string memory reason) external",
-            "function suspendCredential(uint256 credentialId, string memory reason) external",
-            "function reactivateCredential(uint256 credentialId) external",
-            "function verifyCredential(uint256 credentialId) external view returns (bool)",
-            "function getCredential(uint256 credentialId) external view returns (string memory id, string[] memory type, string memory issuer, string memory subject, uint256 issuanceDate, uint256 expirationDate, string memory credentialStatus, string memory credentialSchema, bool selectiveDisclosure, string memory zkProof)",
-            "function getCredentialClaim(uint256 credentialId, string memory claimKey) external view returns (string memory)",
-            "function getAllCredentialClaims(uint256 credentialId) external view returns (string[] memory claimKeys, string[] memory claimValues)",
-            "function getSubjectCredentials(string memory subject) external view returns (uint256[] memory)",
-            "function getTotalCredentials() external view returns (uint256)",
-            "function authorizedIssuers(address issuer) external view returns (bool)"
-        ];
+        credentialTypes.forEach(({ name, supported }) => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between items-center bg-white border rounded-lg px-4 py-3';
 
-        // Initialize contract instances
-        this.identityRegistry = new ethers.Contract(
-            this.contractAddresses.identityRegistry,
-            identityRegistryABI,
-            this.signer
-        );
+            const label = document.createElement('span');
+            label.className = 'text-sm font-medium text-gray-900';
+            label.textContent = name;
 
-        this.credentialRegistry = new ethers.Contract(
-            this.contractAddresses.credentialRegistry,
-            credentialRegistryABI,
-            this.signer
-        );
+            const button = document.createElement('button');
+            button.className = `text-sm ${supported ? 'text-red-600 hover:text-red-800' : 'text-green-600 hover:text-green-800'}`;
+            button.innerHTML = supported ? '<i class="fas fa-toggle-on mr-1"></i>Disable' : '<i class="fas fa-toggle-off mr-1"></i>Enable';
+            button.addEventListener('click', () => this.setCredentialTypeSupport(name, !supported));
+
+            row.append(label, button);
+            list.appendChild(row);
+        });
     }
 
-    async loadUserData() {
+    async setRegistryPaused(key, label, pause) {
         try {
-            // Check if user has a DID
-            const hasDID = await this.identityRegistry.hasActiveDID(this.userAddress);
-            
-            if (hasDID) {
-                const didDoc = await this.identityRegistry.resolveDID(this.userAddress);
-                this.userDID = didDoc.id;
-                this.displayDIDDetails(didDoc);
-            } else {
-                this.showCreateDIDForm();
+            if (pause && !confirm(`Pause the ${label}? All writes will be blocked until it is unpaused.`)) {
+                return;
             }
 
-            // Load credentials if user has DID
-            if (this.userDID) {
-                await this.loadUserCredentials();
-            }
+            this.showLoading(true);
+            await this[key][pause ? 'pause' : 'unpause']({ description: `${pause ? 'Pause' : 'Unpause'} ${label}` });
 
-            // Update stats
-            await this.updateStats();
+            this.showMessage(`${label} ${pause ? 'paused' : 'unpaused'}`, 'success');
+            await this.loadAdminData();
 
         } catch (error) {
-            console.error('Error loading user data:', error);
-            this.showMessage('Failed to load user data: ' + error.message, 'error');
+            console.error('Error changing pause state:', error);
+            this.showMessage(`Failed to ${pause ? 'pause' : 'unpause'} ${label}: ` + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
         }
     }
 
-    async createDID() {
+    async authorizeIssuer() {
         try {
-            const did = document.getElementById('didInput').value;
-            const verificationMethod = document.getElementById('verificationMethodInput').value;
+            const issuer = document.getElementById('issuerAddressInput').value.trim();
+            const did = document.getElementById('issuerDIDInput').value.trim();
 
-            if (!did || !verificationMethod) {
-                this.showMessage('Please fill in all required fields', 'error');
+            if (!ethers.isAddress(issuer) || !did) {
+                this.showMessage('Please enter a valid issuer address and DID', 'error');
                 return;
             }
 
             this.showLoading(true);
+            await this.credentialRegistry.authorizeIssuer(issuer, did, { description: `Authorize issuer ${did}` });
 
-            const context = ["https://www.w3.org/ns/did/v1"];
-            const verificationMethods = [verificationMethod];
-
-            const tx = await this.identityRegistry.createDID(did, context, verificationMethods);
-            await tx.wait();
-
-            this.showMessage('DID created successfully!', 'success');
-            await this.loadUserData();
+            document.getElementById('issuerAddressInput').value = '';
+            document.getElementById('issuerDIDInput').value = '';
+            this.showMessage(`Issuer ${did} authorized`, 'success');
+            await this.loadAdminData();
 
         } catch (error) {
-            console.error('Error creating DID:', error);
-            this.showMessage('Failed to create DID: ' + error.message, 'error');
+            console.error('Error authorizing issuer:', error);
+            this.showMessage('Failed to authorize issuer: ' + this.describeError(error), 'error');
         } finally {
             this.showLoading(false);
         }
     }
 
-    async updateDID() {
+    async deauthorizeIssuer(address, did) {
         try {
-            const did = this.userDID;
-            const verificationMethod = document.getElementById('verificationMethodInput').value;
-
-            if (!verificationMethod) {
-                this.showMessage('Please enter a verification method', 'error');
+            if (!confirm(`Deauthorize ${did || address}? They will no longer be able to issue credentials.`)) {
                 return;
             }
 
             this.showLoading(true);
+            await this.credentialRegistry.deauthorizeIssuer(address, { description: `Deauthorize issuer ${did || address}` });
 
-            const context = ["https://www.w3.org/ns/did/v1"];
-            const verificationMethods = [verificationMethod];
-
-            const tx = await this.identityRegistry.updateDID(did, context, verificationMethods);
-            await tx.wait();
-
-            this.showMessage('DID updated successfully!', 'success');
-            await this.loadUserData();
+            this.showMessage('Issuer deauthorized', 'success');
+            await this.loadAdminData();
 
         } catch (error) {
-            console.error('Error updating DID:', error);
-            this.showMessage('Failed to update DID: ' + error.message, 'error');
+            console.error('Error deauthorizing issuer:', error);
+            this.showMessage('Failed to deauthorize issuer: ' + this.describeError(error), 'error');
         } finally {
             this.showLoading(false);
         }
     }
 
-    async deactivateDID() {
+    async setCredentialTypeSupport(credentialType, supported) {
         try {
-            if (!confirm('Are you sure you want to deactivate your DID? This action cannot be undone.')) {
+            if (!credentialType) {
+                this.showMessage('Please enter a credential type', 'error');
                 return;
             }
 
             this.showLoading(true);
+            await this.credentialRegistry.setCredentialTypeSupport(credentialType, supported, {
+                description: `${supported ? 'Enable' : 'Disable'} credential type ${credentialType}`
+            });
 
-            const tx = await this.identityRegistry.deactivateDID(this.userDID);
-            await tx.wait();
-
-            this.showMessage('DID deactivated successfully!', 'success');
-            await this.loadUserData();
+            document.getElementById('credentialTypeInput').value = '';
+            this.showMessage(`${credentialType} ${supported ? 'enabled' : 'disabled'}`, 'success');
+            await this.loadAdminData();
 
         } catch (error) {
-            console.error('Error deactivating DID:', error);
-            this.showMessage('Failed to deactivate DID: ' + error.message, 'error');
+            console.error('Error updating credential type:', error);
+            this.showMessage('Failed to update credential type: ' + this.describeError(error), 'error');
         } finally {
             this.showLoading(false);
         }
     }
 
-    async loadUserCredentials() {
+    verifyCredential() {
+        const input = document.getElementById('verifyCredentialId').value.trim();
+
+        // Certificate QR codes link to the verify route, which names their deployment
+        const linkedRoute = input.includes('#') ? Router.parse(input.slice(input.indexOf('#'))) : null;
+        if (linkedRoute && linkedRoute.name === 'verify') {
+            this.navigate(linkedRoute);
+            return;
+        }
+
+        if (/^\d+$/.test(input)) {
+            // The route runs the verification, so the result can be shared as a link
+            this.navigate(this.verifyRoute(input));
+            return;
+        }
+
+        if (!input.startsWith(`${Presentations.PREFIX}:`)) {
+            this.showMessage('Please enter a numeric credential ID or a presentation payload', 'error');
+            return;
+        }
+
         try {
-            const credentialIds = await this.credentialRegistry.getSubjectCredentials(this.userDID);
-            const credentialsList = document.getElementById('credentialsList');
-            
-            credentialsList.innerHTML = '';
+            this.verifyPresentation(Presentations.decode(input));
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    async verifyPresentation(presentation) {
+        if (!this.isActiveDeployment(presentation)) {
+            this.showForeignDeployment('presentation', presentation);
+            return;
+        }
+
+        try {
+            this.showLoading(true);
 
-            for (const id of credentialIds) {
-                const credential = await this.credentialRegistry.getCredential(id);
-                const isValid = await this.credentialRegistry.verifyCredential(id);
-                
-                const credentialCard = this.createCredentialCard(id, credential, isValid);
-                credentialsList.appendChild(credentialCard);
+            const isValid = await this.credentialRegistry.verifyCredential(presentation.credentialId);
+            const credential = await this.credentialRegistry.getCredential(presentation.credentialId);
+
+            this.displayVerificationResults(presentation.credentialId, credential, isValid);
+
+            if (presentation.signature) {
+                // The signer proves control of the subject DID when its own DID is the subject
+                const signer = Presentations.recoverSigner(presentation);
+                const signedBySubject = await this.identityRegistry.hasActiveDID(signer) &&
+                    (await this.identityRegistry.resolveDID(signer)).id === credential.subject;
+
+                document.getElementById('verificationResults').appendChild(
+                    Views.holderProof(presentation.nonce, signer, signedBySubject)
+                );
             }
 
         } catch (error) {
-            console.error('Error loading credentials:', error);
-            this.showMessage('Failed to load credentials: ' + error.message, 'error');
+            console.error('Error verifying presentation:', error);
+            this.showMessage('Failed to verify presentation: ' + this.describeError(error), 'error');
+        } finally {
+            this.showLoading(false);
         }
     }
 
-    createCredentialCard(id, credential, isValid) {
-        const card = document.createElement('div');
-        card.className = 'bg-white border rounded-lg p-4 shadow-sm';
-        
-        const statusColor = isValid ? 'green' : 'red';
-        const statusText = isValid ? 'Valid' : 'Invalid';
-        
-        card.innerHTML = `
-            <div class="flex justify-between items-start mb-2">
-                <h4 class="font-medium text-gray-900">Credential #${id}</h4>
-                <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-${statusColor}-100 text-${statusColor}-800">
-                    ${statusText}
-                </span>
-            </div>
-            <div class="text-sm text-gray-600 space-y-1">
-                <p><strong>Type:</strong> ${credential.type.join(', ')}</p>
-                <p><strong>Issuer:</strong> ${credential.issuer}</p>
-                <p><strong>Status:</strong> ${credential.credentialStatus}</p>
-                <p><strong>Issued:</strong> ${new Date(credential.issuanceDate * 1000).toLocaleDateString()}</p>
-                ${credential.expirationDate > 0 ? `<p><strong>Expires:</strong> ${new Date(credential.expirationDate * 1000).toLocaleDateString()}</p>` : ''}
-            </div>
-            <div class="mt-3 flex space-x-2">
-                <button onclick="didSystem.viewCredentialDetails(${id})" class="text-blue-600 hover:text-blue-800 text-sm">
-                    <i class="fas fa-eye mr-1"></i>View Details
-                </button>
-                <button onclick="didSystem.verifyCredentialById(${id})" class="text-green-600 hover:text-green-800 text-sm">
-                    <i class="fas fa-check mr-1"></i>Verify
-                </button>
-            </div>
-        `;
-        
-        return card;
+    async startQrScanner() {
+        try {
+            const detector = new BarcodeDetector({ formats: ['qr_code'] });
+            const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            const video = document.getElementById('qrScannerVideo');
+            video.srcObject = stream;
+            await video.play();
+            document.getElementById('qrScannerModal').classList.remove('hidden');
+
+            const timer = setInterval(async () => {
+                const [code] = await detector.detect(video).catch(() => []);
+                // A detection still in flight when the scanner stopped is dropped
+                if (!code || !this.qrScanner) return;
+
+                this.stopQrScanner();
+                document.getElementById('verifyCredentialId').value = code.rawValue;
+                this.verifyCredential();
+            }, 300);
+            this.qrScanner = { stream, timer };
+
+        } catch (error) {
+            console.error('Error starting QR scanner:', error);
+            this.showMessage('Failed to start the camera: ' + this.describeError(error), 'error');
+        }
     }
 
-    async verifyCredential() {
-        try {
-            const credentialId = document.getElementById('verifyCredentialId').value;
-            
-            if (!credentialId) {
-                this.showMessage('Please enter a credential ID', 'error');
-                return;
-            }
+    stopQrScanner() {
+        if (this.qrScanner) {
+            clearInterval(this.qrScanner.timer);
+            this.qrScanner.stream.getTracks().forEach(track => track.stop());
+            this.qrScanner = null;
+        }
+        document.getElementById('qrScannerModal').classList.add('hidden');
+    }
+
+    // Route to verify a credential of the registry the app is connected to
+    verifyRoute(credentialId) {
+        return { name: 'verify', param: credentialId, chainId: this.chainId, registry: this.contractAddresses.credentialRegistry };
+    }
 
+    isActiveDeployment({ chainId, registry }) {
+        const active = this.contractAddresses.credentialRegistry;
+        return chainId === this.chainId && Boolean(active) && registry.toLowerCase() === active.toLowerCase();
+    }
+
+    // Credential IDs are per registry, so links and presentations for another deployment are
+    // refused; a wallet on another chain is offered the switch when the chain is supported
+    showForeignDeployment(kind, { chainId, registry }) {
+        this.showMessage(`This ${kind} is for registry ${registry} on chain ${chainId}. Connect to that network and registry to verify it.`, 'error');
+
+        const resultsDiv = document.getElementById('verificationResults');
+        resultsDiv.replaceChildren();
+        resultsDiv.classList.add('hidden');
+
+        const network = SUPPORTED_NETWORKS[chainId];
+        if (this.wallet && chainId !== this.chainId && network) {
+            const button = document.createElement('button');
+            button.className = 'w-full bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition';
+            button.textContent = `Switch to ${network.chainName} (${chainId})`;
+            button.addEventListener('click', () => this.switchNetwork(chainId));
+            resultsDiv.appendChild(button);
+            resultsDiv.classList.remove('hidden');
+        }
+    }
+
+    async verifyCredentialById(credentialId) {
+        try {
             this.showLoading(true);
 
             const isValid = await this.credentialRegistry.verifyCredential(credentialId);
@@ -311,24 +2253,37 @@ class DIDSystem {
 
         } catch (error) {
             console.error('Error verifying credential:', error);
-            this.showMessage('Failed to verify credential: ' + error.message, 'error');
+            this.showMessage('Failed to verify credential: ' + this.describeError(error), 'error');
         } finally {
             this.showLoading(false);
         }
     }
 
-    async verifyCredentialById(credentialId) {
+    lookupDID() {
+        const did = document.getElementById('lookupDIDInput').value.trim();
+
+        if (!/^did:[a-z0-9]+:\S+$/.test(did)) {
+            this.showMessage('Please enter a DID such as did:ethr:0x...', 'error');
+            return;
+        }
+
+        this.navigate({ name: 'did', param: did });
+    }
+
+    async resolveDIDLookup(did) {
         try {
             this.showLoading(true);
 
-            const isValid = await this.credentialRegistry.verifyCredential(credentialId);
-            const credential = await this.credentialRegistry.getCredential(credentialId);
+            const didDoc = await this.identityRegistry.resolveDIDById(did);
+            const w3cDocument = DIDDocuments.toW3C(didDoc, { chainId: this.chainId });
 
-            this.displayVerificationResults(credentialId, credential, isValid);
+            const resultsDiv = document.getElementById('didLookupResults');
+            resultsDiv.replaceChildren(Views.didLookupResult(w3cDocument, didDoc.active));
+            resultsDiv.classList.remove('hidden');
 
         } catch (error) {
-            console.error('Error verifying credential:', error);
-            this.showMessage('Failed to verify credential: ' + error.message, 'error');
+            console.error('Error resolving DID:', error);
+            this.showMessage('Failed to resolve DID: ' + this.describeError(error), 'error');
         } finally {
             this.showLoading(false);
         }
@@ -336,42 +2291,18 @@ class DIDSystem {
 
     displayVerificationResults(credentialId, credential, isValid) {
         const resultsDiv = document.getElementById('verificationResults');
-        const statusColor = isValid ? 'green' : 'red';
-        const statusText = isValid ? 'Valid' : 'Invalid';
-        
-        resultsDiv.innerHTML = `
-            <div class="bg-${statusColor}-50 border border-${statusColor}-200 rounded-lg p-4">
-                <div class="flex items-center mb-2">
-                    <i class="fas fa-${isValid ? 'check-circle' : 'times-circle'} text-${statusColor}-600 mr-2"></i>
-                    <h4 class="font-medium text-${statusColor}-800">Verification Result: ${statusText}</h4>
-                </div>
-                <div class="text-sm text-${statusColor}-700 space-y-1">
-                    <p><strong>Credential ID:</strong> ${credentialId}</p>
-                    <p><strong>Type:</strong> ${credential.type.join(', ')}</p>
-                    <p><strong>Issuer:</strong> ${credential.issuer}</p>
-                    <p><strong>Subject:</strong> ${credential.subject}</p>
-                    <p><strong>Status:</strong> ${credential.credentialStatus}</p>
-                </div>
-            </div>
-        `;
-        
+        resultsDiv.replaceChildren(Views.verificationResults(credentialId, credential, isValid));
         resultsDiv.classList.remove('hidden');
     }
 
     async updateStats() {
         try {
-            // Update credential count
+            // Credential stats come from the credentials loaded by loadUserCredentials()
             if (this.userDID) {
-                const credentialIds = await this.credentialRegistry.getSubjectCredentials(this.userDID);
-                document.getElementById('myCredentials').textContent = credentialIds.length;
-                
-                // Count verified credentials
-                let verifiedCount = 0;
-                for (const id of credentialIds) {
-                    const isValid = await this.credentialRegistry.verifyCredential(id);
-                    if (isValid) verifiedCount++;
-                }
-                document.getElementById('verifiedCount').textContent = verifiedCount;
+                document.getElementById('myCredentials').textContent = this.userCredentials.length;
+                document.getElementById('verifiedCount').textContent =
+                    this.userCredentials.filter(({ isValid }) => isValid).length;
+                document.getElementById('expiringCount').textContent = this.getExpiringCredentials().length;
             }
 
             // Update DID info
@@ -384,22 +2315,193 @@ class DIDSystem {
         }
     }
 
+    subscribeToEvents() {
+        this.unsubscribeFromEvents();
+        if (!this.userDID) return;
+
+        const identity = this.identityRegistry.contract;
+        const credentials = this.credentialRegistry.contract;
+
+        identity.on(identity.filters.DIDUpdated(this.userAddress), () => this.refreshDIDDetails());
+        identity.on(identity.filters.VerificationMethodAdded(this.userAddress), () => this.refreshDIDDetails());
+        identity.on(identity.filters.ServiceEndpointAdded(this.userAddress), () => this.refreshDIDDetails());
+        identity.on(identity.filters.DIDDeactivated(this.userAddress), () => {
+            this.refreshDIDDetails();
+            this.showMessage('Your DID has been deactivated', 'warning');
+        });
+
+        credentials.on(credentials.filters.CredentialIssued(null, null, this.userDID), (credentialId) => {
+            this.refreshCredential(credentialId);
+        });
+
+        // Status events are only indexed by credential ID, so filter them here
+        credentials.on(credentials.filters.CredentialRevoked(), (credentialId, reason) => {
+            if (!this.holdsCredential(credentialId)) return;
+            this.refreshCredential(credentialId);
+            this.showMessage(`Credential #${credentialId} was revoked by its issuer: ${reason}`, 'error');
+        });
+        credentials.on(credentials.filters.CredentialSuspended(), (credentialId, reason) => {
+            if (!this.holdsCredential(credentialId)) return;
+            this.refreshCredential(credentialId);
+            this.showMessage(`Credential #${credentialId} was suspended by its issuer: ${reason}`, 'warning');
+        });
+        credentials.on(credentials.filters.CredentialReactivated(), (credentialId) => {
+            if (!this.holdsCredential(credentialId)) return;
+            this.refreshCredential(credentialId);
+            this.showMessage(`Credential #${credentialId} was reactivated`, 'info');
+        });
+    }
+
+    unsubscribeFromEvents() {
+        if (this.identityRegistry) this.identityRegistry.contract.removeAllListeners();
+        if (this.credentialRegistry) this.credentialRegistry.contract.removeAllListeners();
+    }
+
+    holdsCredential(credentialId) {
+        return this.userCredentials.some(({ id }) => id.toString() === credentialId.toString());
+    }
+
+    async refreshDIDDetails() {
+        try {
+            const didDoc = await this.identityRegistry.resolveDID(this.userAddress);
+            this.displayDIDDetails(didDoc);
+            await this.cacheUserData();
+        } catch (error) {
+            console.error('Error refreshing DID:', error);
+        }
+    }
+
+    async refreshCredential(credentialId) {
+        try {
+            const credential = await this.credentialRegistry.getCredential(credentialId);
+            const isValid = await this.credentialRegistry.verifyCredential(credentialId);
+            const claims = await this.credentialRegistry.getAllCredentialClaims(credentialId);
+            const seen = { id: credentialId, credential, isValid, claims };
+            const [entry] = OfflineCache.reconcile(this.lastSeenCredentials, [seen]);
+
+            const isSame = ({ id }) => id.toString() === credentialId.toString();
+            const index = this.userCredentials.findIndex(isSame);
+
+            if (index === -1) {
+                this.userCredentials.push(entry);
+            } else {
+                this.userCredentials[index] = entry;
+            }
+            this.lastSeenCredentials = [...this.lastSeenCredentials.filter(other => !isSame(other)), seen];
+
+            this.renderCredentialFilterOptions();
+            this.renderCredentialList();
+            this.renderExpiringCredentials();
+            await this.updateStats();
+            await this.cacheUserData();
+
+        } catch (error) {
+            console.error('Error refreshing credential:', error);
+        }
+    }
+
     displayDIDDetails(didDoc) {
         document.getElementById('didIdentifier').textContent = didDoc.id;
         document.getElementById('didStatus').textContent = didDoc.active ? 'Active' : 'Inactive';
         document.getElementById('didStatus').className = `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${didDoc.active ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`;
-        document.getElementById('didCreated').textContent = new Date(didDoc.created * 1000).toLocaleString();
-        document.getElementById('didUpdated').textContent = new Date(didDoc.updated * 1000).toLocaleString();
+        document.getElementById('didCreated').textContent = new Date(Number(didDoc.created) * 1000).toLocaleString();
+        document.getElementById('didUpdated').textContent = new Date(Number(didDoc.updated) * 1000).toLocaleString();
+        document.getElementById('didContextInput').value = didDoc.context.join('\n');
+        this.didDocument = didDoc;
+        this.renderDIDDocument(didDoc);
         
         document.getElementById('createDIDForm').classList.add('hidden');
         document.getElementById('didDetails').classList.remove('hidden');
     }
 
+    renderDIDDocument(didDoc) {
+        const sections = [
+            { label: 'Contexts', entries: didDoc.context },
+            { label: 'Verification Methods', entries: didDoc.verificationMethod },
+            { label: 'Authentication', entries: didDoc.authentication },
+            { label: 'Assertion Method', entries: didDoc.assertionMethod },
+            { label: 'Key Agreement', entries: didDoc.keyAgreement },
+            { label: 'Capability Invocation', entries: didDoc.capabilityInvocation },
+            { label: 'Capability Delegation', entries: didDoc.capabilityDelegation },
+            { label: 'Services', entries: didDoc.service }
+        ];
+
+        const container = document.getElementById('didDocumentSections');
+        container.innerHTML = '';
+
+        sections.forEach(({ label, entries }) => {
+            const section = document.createElement('div');
+            const heading = document.createElement('p');
+            heading.className = 'text-sm font-medium text-gray-500';
+            heading.textContent = `${label} (${entries.length})`;
+            section.appendChild(heading);
+
+            const list = document.createElement('ul');
+            list.className = 'mt-1 space-y-1';
+            if (entries.length === 0) {
+                const item = document.createElement('li');
+                item.className = 'text-xs text-gray-400';
+                item.textContent = 'None';
+                list.appendChild(item);
+            }
+            entries.forEach(entry => {
+                const item = document.createElement('li');
+                item.className = 'text-xs text-gray-900 font-mono break-all bg-gray-50 rounded px-2 py-1';
+                item.textContent = entry;
+                list.appendChild(item);
+            });
+
+            section.appendChild(list);
+            container.appendChild(section);
+        });
+    }
+
     showCreateDIDForm() {
         document.getElementById('createDIDForm').classList.remove('hidden');
         document.getElementById('didDetails').classList.add('hidden');
     }
 
+    navigate(route) {
+        const hash = Router.format(route);
+        if (location.hash === hash) {
+            this.applyRoute();
+        } else {
+            location.hash = hash;
+        }
+    }
+
+    async applyRoute() {
+        // Routes need the contracts; connecting applies the current hash again
+        if (!this.credentialRegistry) return;
+
+        // Read-only mode and accounts that do not own a registry lack some tabs
+        let route = Router.parse(location.hash);
+        if (!route || document.querySelector(`.tab-button[data-tab="${route.tab}"]`).classList.contains('hidden')) {
+            route = Router.parse(Router.format({ name: this.readOnly ? 'verification' : 'identity' }));
+        }
+
+        if (route.name !== 'credential') {
+            document.getElementById('credentialDetailsModal').classList.add('hidden');
+            this.hideCertificate();
+            this.hidePresentation();
+        }
+        this.switchTab(route.tab);
+
+        if (route.name === 'credential') {
+            await this.viewCredentialDetails(route.param);
+        } else if (route.name === 'verify') {
+            document.getElementById('verifyCredentialId').value = route.param;
+            if (this.isActiveDeployment(route)) {
+                await this.verifyCredentialById(route.param);
+            } else {
+                this.showForeignDeployment('link', route);
+            }
+        } else if (route.name === 'did') {
+            document.getElementById('lookupDIDInput').value = route.param;
+            await this.resolveDIDLookup(route.param);
+        }
+    }
+
     switchTab(tabName) {
         // Hide all tab contents
         document.querySelectorAll('.tab-content').forEach(content => {
@@ -452,31 +2554,7 @@ class DIDSystem {
 
     showMessage(message, type = 'info') {
         const container = document.getElementById('messageContainer');
-        const messageDiv = document.createElement('div');
-        
-        const colors = {
-            success: 'bg-green-500',
-            error: 'bg-red-500',
-            warning: 'bg-yellow-500',
-            info: 'bg-blue-500'
-        };
-        
-        const icons = {
-            success: 'fas fa-check-circle',
-            error: 'fas fa-times-circle',
-            warning: 'fas fa-exclamation-triangle',
-            info: 'fas fa-info-circle'
-        };
-        
-        messageDiv.className = `${colors[type]} text-white px-4 py-2 rounded-lg mb-2 flex items-center`;
-        messageDiv.innerHTML = `
-            <i class="${icons[type]} mr-2"></i>
-            <span>${message}</span>
-            <button onclick="this.parentElement.remove()" class="ml-4 text-white hover:text-gray-200">
-                <i class="fas fa-times"></i>
-            </button>
-        `;
-        
+        const messageDiv = Views.message(message, type);
         container.appendChild(messageDiv);
         
         // Auto-remove after 5 seconds
@@ -487,14 +2565,38 @@ class DIDSystem {
         }, 5000);
     }
 
-    disconnectWallet() {
+    // Forget the connected account, its contracts and the views that belong to it
+    resetSession() {
+        this.unsubscribeFromEvents();
+        this.transactions.setContext(null, null, null, null);
+        this.unwatchWallet();
+        this.hideWrongNetwork();
         this.provider = null;
         this.signer = null;
         this.identityRegistry = null;
         this.credentialRegistry = null;
+        this.batcher = null;
         this.userAddress = null;
         this.userDID = null;
-        
+        this.issuerDID = null;
+        this.didDocument = null;
+        this.credentialDetails = null;
+        this.lastSeenCredentials = [];
+        this.ownedRegistries = {};
+        this.chainId = null;
+        this.networkName = null;
+        this.userCredentials = [];
+        this.issuedCredentials = [];
+        this.selectedIssuedIds = new Set();
+        document.getElementById('issuedCredentialsPanel').classList.add('hidden');
+        document.getElementById('adminTabButton').classList.add('hidden');
+        document.getElementById('offlineCacheNotice').classList.add('hidden');
+    }
+
+    disconnectWallet() {
+        this.resetSession();
+        this.setReadOnly(false);
+
         document.getElementById('walletInfo').classList.add('hidden');
         document.getElementById('connectWallet').classList.remove('hidden');
         this.showConnectionStatus();
@@ -0,0 +1,192 @@
+// Printable certificates for credentials, with a QR code linking to the verification route
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./views.js'), require('qrcode-generator'));
+    } else {
+        root.Certificates = factory(root.Views, root.qrcode);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Views, qrcode) {
+    const { el } = Views;
+
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    // Light modules around the code that scanners need to find it
+    const QR_QUIET_ZONE = 4;
+
+    /**
+     * Templates by credential type. The first claim found from nameClaims names the holder
+     * (the subject DID otherwise) and the first from headlineClaims is set as the award.
+     */
+    const TEMPLATES = {
+        EducationalCredential: {
+            title: 'Certificate of Achievement',
+            statement: 'This is to certify that',
+            awardText: 'has been awarded',
+            nameClaims: ['name', 'fullName', 'studentName'],
+            headlineClaims: ['degree', 'qualification', 'program', 'course'],
+            accent: 'border-blue-800 text-blue-900'
+        },
+        ProfessionalCredential: {
+            title: 'Professional Certification',
+            statement: 'This is to certify that',
+            awardText: 'is certified as',
+            nameClaims: ['name', 'fullName'],
+            headlineClaims: ['profession', 'title', 'license', 'certification', 'specialty'],
+            accent: 'border-green-800 text-green-900'
+        },
+        IdentityCredential: {
+            title: 'Identity Attestation',
+            statement: 'The issuer below attests to the identity of',
+            awardText: '',
+            nameClaims: ['name', 'fullName'],
+            headlineClaims: [],
+            accent: 'border-gray-800 text-gray-900'
+        }
+    };
+
+    const DEFAULT_TEMPLATE = {
+        title: 'Verifiable Credential',
+        statement: 'This credential was issued to',
+        awardText: '',
+        nameClaims: ['name', 'fullName'],
+        headlineClaims: [],
+        accent: 'border-gray-700 text-gray-900'
+    };
+
+    /**
+     * @param credType The credential's types, e.g. ['VerifiableCredential', 'EducationalCredential']
+     * @returns The template for the most specific type that has one
+     */
+    function templateFor(credType) {
+        const type = [...credType].reverse().find(name => TEMPLATES[name]);
+        return type ? TEMPLATES[type] : DEFAULT_TEMPLATE;
+    }
+
+    function findClaim(claims, keys) {
+        for (const key of keys) {
+            const claim = claims.find(candidate => candidate.key.toLowerCase() === key.toLowerCase());
+            if (claim && claim.value) return claim.value;
+        }
+        return null;
+    }
+
+    function formatDate(timestamp) {
+        return new Date(Number(timestamp) * 1000).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    /**
+     * Render text as a QR code.
+     * @returns An <svg> element drawing every dark module as one path
+     */
+    function qrCode(text, size = 160) {
+        const qr = qrcode(0, 'M');
+        qr.addData(text);
+        qr.make();
+
+        const count = qr.getModuleCount();
+        let path = '';
+        for (let row = 0; row < count; row++) {
+            for (let column = 0; column < count; column++) {
+                if (qr.isDark(row, column)) {
+                    path += `M${column + QR_QUIET_ZONE},${row + QR_QUIET_ZONE}h1v1h-1z`;
+                }
+            }
+        }
+
+        const extent = count + QR_QUIET_ZONE * 2;
+        const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${extent} ${extent}`);
+        svg.setAttribute('width', String(size));
+        svg.setAttribute('height', String(size));
+        svg.setAttribute('shape-rendering', 'crispEdges');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `QR code: ${text}`);
+
+        const background = document.createElementNS(SVG_NAMESPACE, 'rect');
+        background.setAttribute('width', String(extent));
+        background.setAttribute('height', String(extent));
+        background.setAttribute('fill', '#ffffff');
+
+        const modules = document.createElementNS(SVG_NAMESPACE, 'path');
+        modules.setAttribute('d', path);
+        modules.setAttribute('fill', '#000000');
+
+        svg.append(background, modules);
+        return svg;
+    }
+
+    function detail(label, value) {
+        return el('div', '',
+            el('dt', 'text-xs uppercase tracking-wide text-gray-500', label),
+            el('dd', 'text-sm text-gray-900 break-all', value)
+        );
+    }
+
+    /**
+     * Build the printable certificate.
+     * @param credentialId Registry credential ID
+     * @param credential As returned by getCredential
+     * @param claims Claim list as returned by the SDK's getAllCredentialClaims
+     * @param verifyUrl Link to the verification route, encoded in the QR code
+     * @param registryAddress CredentialRegistry address
+     * @param chainId Chain the registry is deployed on
+     * @param networkName Optional network name shown next to the chain ID
+     */
+    function render({ credentialId, credential, claims, verifyUrl, registryAddress, chainId, networkName }) {
+        const template = templateFor(credential.credType);
+        const holderName = findClaim(claims, template.nameClaims);
+        const headline = findClaim(claims, template.headlineClaims);
+
+        const certificate = el('article', `certificate bg-white border-8 ${template.accent} p-10 text-center`,
+            el('p', 'text-xs uppercase tracking-widest text-gray-500', credential.credType.join(' · ')),
+            el('h1', 'text-4xl font-serif font-bold mt-2 mb-6', template.title),
+            el('p', 'text-gray-600', template.statement),
+            el('p', 'text-2xl font-serif font-semibold my-2 break-all', holderName || credential.subject),
+            holderName ? el('p', 'text-xs font-mono text-gray-500 break-all', credential.subject) : null,
+            headline && template.awardText ? el('p', 'text-gray-600 mt-4', template.awardText) : null,
+            headline ? el('p', 'text-xl font-serif font-semibold mt-1 break-all', headline) : null
+        );
+
+        if (credential.credentialStatus !== 'active') {
+            certificate.appendChild(el('p',
+                'mt-6 inline-block px-4 py-1 border-2 border-red-600 text-red-700 font-bold uppercase tracking-widest',
+                `${credential.credentialStatus} credential`
+            ));
+        }
+
+        if (claims.length > 0) {
+            certificate.appendChild(el('table', 'mx-auto mt-8 text-sm text-left',
+                el('tbody', '', ...claims.map(({ key, value }) => el('tr', '',
+                    el('th', 'pr-6 py-1 font-medium text-gray-500 align-top', key),
+                    el('td', 'py-1 text-gray-900 break-all', value)
+                )))
+            ));
+        }
+
+        certificate.appendChild(el('dl', 'grid grid-cols-2 gap-4 mt-8 text-left',
+            detail('Issued by', credential.issuer),
+            detail('Credential', `#${credentialId} · ${credential.id}`),
+            detail('Issued on', formatDate(credential.issuanceDate)),
+            detail('Expires', Number(credential.expirationDate) > 0 ? formatDate(credential.expirationDate) : 'Never')
+        ));
+
+        certificate.appendChild(el('div', 'flex items-center mt-8 pt-6 border-t border-gray-300 text-left',
+            el('div', 'flex-shrink-0 mr-6', qrCode(verifyUrl)),
+            el('dl', 'space-y-2',
+                detail('Scan or open to verify', verifyUrl),
+                detail('Credential registry', registryAddress),
+                detail('Chain ID', networkName ? `${chainId} (${networkName})` : String(chainId))
+            )
+        ));
+
+        return certificate;
+    }
+
+    return {
+        TEMPLATES,
+        DEFAULT_TEMPLATE,
+        templateFor,
+        qrCode,
+        render
+    };
+});
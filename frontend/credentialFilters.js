@@ -0,0 +1,93 @@
+// Search, filter and sort for the holder's credential list
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CredentialFilters = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SORTS = {
+        'issued-desc': (a, b) => Number(b.credential.issuanceDate) - Number(a.credential.issuanceDate),
+        'issued-asc': (a, b) => Number(a.credential.issuanceDate) - Number(b.credential.issuanceDate),
+        // Credentials that never expire count as expiring last
+        'expires-asc': (a, b) => compare(expiresAt(a), expiresAt(b)),
+        'expires-desc': (a, b) => compare(expiresAt(b), expiresAt(a))
+    };
+
+    const DEFAULT_CRITERIA = {
+        search: '',
+        type: '',
+        issuer: '',
+        status: '',
+        from: null,
+        to: null,
+        sort: 'issued-desc'
+    };
+
+    // Subtraction would give NaN for two credentials that never expire
+    function compare(a, b) {
+        return a === b ? 0 : a < b ? -1 : 1;
+    }
+
+    function expiresAt(entry) {
+        const expirationDate = Number(entry.credential.expirationDate);
+        return expirationDate > 0 ? expirationDate : Infinity;
+    }
+
+    /**
+     * @param entry { credential } as loaded from getCredential
+     * @param now Unix timestamp in seconds
+     * @returns 'active', 'suspended', 'revoked' or 'expired'
+     */
+    function statusOf(entry, now) {
+        const { credentialStatus, expirationDate } = entry.credential;
+        if (credentialStatus !== 'active') return credentialStatus;
+        return Number(expirationDate) > 0 && Number(expirationDate) <= now ? 'expired' : 'active';
+    }
+
+    function matchesSearch(entry, search) {
+        if (!search) return true;
+        const needle = search.toLowerCase();
+        const claims = entry.claims || [];
+        return [...claims.map(({ value }) => value), ...claims.map(({ key }) => key), entry.credential.id]
+            .some(text => String(text).toLowerCase().includes(needle));
+    }
+
+    /**
+     * Filter and sort credentials.
+     * @param entries Array of { id, credential, claims } with claims as { key, value } lists
+     * @param criteria { search, type, issuer, status, from, to, sort }; from/to are Unix
+     *        timestamps bounding the issuance date, empty values disable a filter
+     * @param now Unix timestamp in seconds used to detect expired credentials
+     */
+    function apply(entries, criteria, now = Math.floor(Date.now() / 1000)) {
+        const { search, type, issuer, status, from, to, sort } = { ...DEFAULT_CRITERIA, ...criteria };
+
+        return entries
+            .filter(entry => !type || entry.credential.credType.includes(type))
+            .filter(entry => !issuer || entry.credential.issuer === issuer)
+            .filter(entry => !status || statusOf(entry, now) === status)
+            .filter(entry => from === null || Number(entry.credential.issuanceDate) >= from)
+            .filter(entry => to === null || Number(entry.credential.issuanceDate) <= to)
+            .filter(entry => matchesSearch(entry, search.trim()))
+            .sort(SORTS[sort] || SORTS[DEFAULT_CRITERIA.sort]);
+    }
+
+    // Distinct credential types and issuers, for the filter dropdowns
+    function options(entries) {
+        const types = new Set();
+        const issuers = new Set();
+        entries.forEach(({ credential }) => {
+            credential.credType.forEach(type => types.add(type));
+            issuers.add(credential.issuer);
+        });
+        return { types: [...types].sort(), issuers: [...issuers].sort() };
+    }
+
+    return {
+        DEFAULT_CRITERIA,
+        statusOf,
+        apply,
+        options
+    };
+});
@@ -0,0 +1,106 @@
+// Batches contract reads through the Multicall aggregator (contracts/Multicall.sol)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MulticallBatcher = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Batches are cut by encoded size, which keeps each eth_call well below node request
+    // limits while a holder's whole dashboard (three small reads per credential) fits in one
+    const MAX_BATCH_CALLDATA_BYTES = 64 * 1024;
+    // aggregate3 encodes each call with its target, failure flag, offsets and length words
+    const CALL_OVERHEAD_BYTES = 192;
+    const ERROR_STRING_SELECTOR = '08c379a0';
+
+    function encodedSize({ callData }) {
+        const bytes = (callData.length - 2) / 2;
+        return CALL_OVERHEAD_BYTES + Math.ceil(bytes / 32) * 32;
+    }
+
+    class MulticallBatcher {
+        /**
+         * @param multicall ethers Contract for Multicall, or null to read call by call
+         */
+        constructor(multicall) {
+            this.multicall = multicall;
+        }
+
+        /**
+         * Execute read calls, batched when a Multicall deployment is available.
+         * @param calls Array of { contract, method, args }
+         * @returns Array of { success, value, error } in call order. `value` is the
+         *          single return value, or the full result for multi-value returns.
+         */
+        async call(calls) {
+            if (!this.multicall) {
+                return Promise.all(calls.map(call => this.callDirect(call)));
+            }
+
+            const encoded = await Promise.all(calls.map(async ({ contract, method, args = [] }) => ({
+                target: await this.getAddress(contract),
+                allowFailure: true,
+                callData: contract.interface.encodeFunctionData(method, args)
+            })));
+
+            const results = [];
+            let start = 0;
+            while (start < calls.length) {
+                // Every batch takes at least one call, however large
+                let end = start + 1;
+                let size = encodedSize(encoded[start]);
+                while (end < calls.length && size + encodedSize(encoded[end]) <= MAX_BATCH_CALLDATA_BYTES) {
+                    size += encodedSize(encoded[end]);
+                    end++;
+                }
+                results.push(...await this.callBatch(calls.slice(start, end), encoded.slice(start, end)));
+                start = end;
+            }
+            return results;
+        }
+
+        async callBatch(calls, encoded) {
+            const responses = await this.multicall.aggregate3(encoded);
+
+            return responses.map(({ success, returnData }, i) => {
+                const { contract, method } = calls[i];
+                if (!success) {
+                    return { success: false, value: null, error: this.decodeRevert(returnData) };
+                }
+
+                const decoded = contract.interface.decodeFunctionResult(method, returnData);
+                return { success: true, value: decoded.length === 1 ? decoded[0] : decoded, error: null };
+            });
+        }
+
+        async callDirect({ contract, method, args = [] }) {
+            try {
+                return { success: true, value: await contract[method](...args), error: null };
+            } catch (error) {
+                return { success: false, value: null, error };
+            }
+        }
+
+        async getAddress(contract) {
+            // ethers v6 contracts resolve their address asynchronously
+            return typeof contract.getAddress === 'function' ? contract.getAddress() : contract.address;
+        }
+
+        decodeRevert(returnData) {
+            // Error(string) revert data: selector, offset, length, UTF-8 bytes
+            const hex = returnData.startsWith('0x') ? returnData.slice(2) : returnData;
+            if (!hex.startsWith(ERROR_STRING_SELECTOR) || hex.length < 136) {
+                return new Error('Call reverted');
+            }
+
+            const length = parseInt(hex.slice(72, 136), 16);
+            const bytes = new Uint8Array(length);
+            for (let i = 0; i < length; i++) {
+                bytes[i] = parseInt(hex.slice(136 + i * 2, 138 + i * 2), 16);
+            }
+            return new Error(new TextDecoder().decode(bytes));
+        }
+    }
+
+    return MulticallBatcher;
+});
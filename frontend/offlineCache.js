@@ -0,0 +1,121 @@
+// IndexedDB cache of each holder's DID document and credentials, so the dashboard
+// renders before the chain answers and still shows something when the RPC is down
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./credentialFilters.js'));
+    } else {
+        root.OfflineCache = factory(root.CredentialFilters);
+    }
+})(typeof self !== 'undefined' ? self : this, function (CredentialFilters) {
+    const DB_NAME = 'didSystem';
+    // Version 2 stores SDK objects; version 1 records held ethers Results and claim arrays
+    const DB_VERSION = 2;
+    const STORE = 'holders';
+
+    function requestResult(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // One record per holder of a deployment: the DID document comes from the identity
+    // registry and the credentials from the credential registry, so both scope it
+    function cacheKey({ chainId, identityRegistry, credentialRegistry, holder }) {
+        return [chainId, identityRegistry, credentialRegistry, holder]
+            .map(part => String(part).toLowerCase())
+            .join(':');
+    }
+
+    // seenStatus records the status when saved, so a later expiry also counts as a change.
+    // statusChange is left out: it only describes the load that produced it.
+    function plainEntry({ id, credential, isValid, claims }, now) {
+        return {
+            id,
+            isValid,
+            seenStatus: CredentialFilters.statusOf({ credential }, now),
+            claims,
+            credential
+        };
+    }
+
+    /**
+     * Mark credentials whose status differs from when they were last seen.
+     * @param previous Entries last seen, e.g. from the cache; their seenStatus is used when set
+     * @param current Entries just read from the chain
+     * @param now Unix timestamp in seconds used to detect expired credentials
+     * @returns The current entries, with statusChange: { from, to } set on each one whose status changed
+     */
+    function reconcile(previous, current, now = Math.floor(Date.now() / 1000)) {
+        const previousStatus = new Map(previous.map(entry =>
+            [entry.id.toString(), entry.seenStatus || CredentialFilters.statusOf(entry, now)]
+        ));
+
+        return current.map(entry => {
+            const before = previousStatus.get(entry.id.toString());
+            const after = CredentialFilters.statusOf(entry, now);
+            return before && before !== after ? { ...entry, statusChange: { from: before, to: after } } : entry;
+        });
+    }
+
+    class CredentialCache {
+        /**
+         * @param indexedDB The IndexedDB factory (window.indexedDB in the browser)
+         */
+        constructor(indexedDB) {
+            this.indexedDB = indexedDB;
+            this.database = null;
+        }
+
+        open() {
+            if (!this.database) {
+                const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+                    if (database.objectStoreNames.contains(STORE)) {
+                        database.deleteObjectStore(STORE);
+                    }
+                    database.createObjectStore(STORE, { keyPath: 'key' });
+                };
+                this.database = requestResult(request);
+            }
+            return this.database;
+        }
+
+        /**
+         * @param scope { chainId, identityRegistry, credentialRegistry, holder } with registry addresses
+         * @returns { didDocument, credentials, savedAt } or null when nothing is cached
+         */
+        async load(scope) {
+            const database = await this.open();
+            const record = await requestResult(
+                database.transaction(STORE, 'readonly').objectStore(STORE).get(cacheKey(scope))
+            );
+            if (!record) return null;
+
+            const { didDocument, credentials, savedAt } = record;
+            return { didDocument, credentials, savedAt };
+        }
+
+        /**
+         * @param scope { chainId, identityRegistry, credentialRegistry, holder }
+         * @param didDocument As returned by the SDK's resolveDID, or null without a DID
+         * @param credentials Entries of { id, credential, isValid, claims } holding SDK objects
+         */
+        async save(scope, { didDocument, credentials }) {
+            const database = await this.open();
+            const savedAt = Date.now();
+            await requestResult(database.transaction(STORE, 'readwrite').objectStore(STORE).put({
+                key: cacheKey(scope),
+                didDocument,
+                credentials: credentials.map(entry => plainEntry(entry, Math.floor(savedAt / 1000))),
+                savedAt
+            }));
+        }
+    }
+
+    return {
+        CredentialCache,
+        reconcile
+    };
+});
@@ -0,0 +1,97 @@
+// Compact credential presentations for QR codes: vcp1:<chainId>:<registry>:<credentialId>[:<nonce>:<signature>]
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers'));
+    } else {
+        root.Presentations = factory(root.ethers);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+    const PREFIX = 'vcp1';
+
+    /**
+     * @param chainId Chain the credential registry is deployed on
+     * @param registry CredentialRegistry address
+     * @param credentialId Registry credential ID
+     * @param nonce Optional nonce, included only with its signature
+     * @param signature Holder's signature over message()
+     * @returns The payload string
+     */
+    function encode({ chainId, registry, credentialId, nonce = null, signature = null }) {
+        const parts = [PREFIX, String(chainId), ethers.getAddress(registry), String(credentialId)];
+        if (signature) {
+            // The nonce may come from a verifier, so it is escaped to keep ':' as the separator
+            parts.push(encodeURIComponent(nonce), signature);
+        }
+        return parts.join(':');
+    }
+
+    /**
+     * Parse a scanned or pasted payload.
+     * @returns { chainId, registry, credentialId, nonce, signature } with nonce and signature null when unsigned
+     * @throws Error when the text is not a presentation payload
+     */
+    function decode(text) {
+        const parts = String(text).trim().split(':');
+        const [prefix, chainId, registry, credentialId, nonce, signature] = parts;
+
+        if (prefix !== PREFIX || (parts.length !== 4 && parts.length !== 6) ||
+            !/^\d+$/.test(chainId) || !ethers.isAddress(registry) || !/^\d+$/.test(credentialId) ||
+            (parts.length === 6 && !/^0x[0-9a-fA-F]{130}$/.test(signature))) {
+            throw new Error('Not a credential presentation payload');
+        }
+
+        let decodedNonce = null;
+        if (parts.length === 6) {
+            try {
+                decodedNonce = decodeURIComponent(nonce);
+            } catch (error) {
+                throw new Error('Not a credential presentation payload');
+            }
+        }
+
+        return {
+            chainId: Number(chainId),
+            registry: ethers.getAddress(registry),
+            credentialId,
+            nonce: decodedNonce,
+            signature: parts.length === 6 ? signature : null
+        };
+    }
+
+    // Text the holder signs (EIP-191 personal_sign) to prove control of the subject's account
+    function message({ chainId, registry, credentialId, nonce }) {
+        return `Presenting credential ${credentialId} from registry ${ethers.getAddress(registry)} on chain ${chainId}.\nNonce: ${nonce}`;
+    }
+
+    function randomNonce() {
+        return ethers.hexlify(ethers.randomBytes(16));
+    }
+
+    /**
+     * Sign a presentation.
+     * @param signer The holder's signer
+     * @param presentation { chainId, registry, credentialId }
+     * @param nonce The verifier's challenge, or a random nonce when omitted
+     * @returns The presentation with its nonce and signature
+     */
+    async function sign(signer, presentation, nonce = randomNonce()) {
+        const { chainId, registry, credentialId } = presentation;
+        const unsigned = { chainId, registry, credentialId, nonce };
+        return { ...unsigned, signature: await signer.signMessage(message(unsigned)) };
+    }
+
+    // Address that signed a decoded presentation
+    function recoverSigner(presentation) {
+        return ethers.verifyMessage(message(presentation), presentation.signature);
+    }
+
+    return {
+        PREFIX,
+        encode,
+        decode,
+        message,
+        randomNonce,
+        sign,
+        recoverSigner
+    };
+});
@@ -0,0 +1,73 @@
+// Hash routes for shareable links, e.g. #/verify/11155111/0x.../12 or #/did/did:ethr:0x...
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Router = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const TABS = ['identity', 'credentials', 'verification', 'transactions', 'admin', 'settings'];
+
+    // Routes that take a parameter, and the tab each one opens
+    const PARAMETER_ROUTES = {
+        credential: { tab: 'credentials', pattern: /^\d+$/ },
+        did: { tab: 'verification', pattern: /^did:[a-z0-9]+:\S+$/ }
+    };
+
+    // Verification links name the deployment, like vcp1 presentations, so a verifier
+    // on another chain or registry never checks a different credential with the same ID
+    const VERIFY_PATTERN = /^(\d+)\/(0x[0-9a-fA-F]{40})\/(\d+)$/;
+
+    /**
+     * @param hash location.hash
+     * @returns { name, param, tab }, with chainId and registry for verify routes,
+     *          or null for an empty or unknown hash
+     */
+    function parse(hash) {
+        const [name, ...rest] = hash.replace(/^#\/?/, '').split('/');
+        let param = null;
+        try {
+            param = rest.length > 0 ? decodeURIComponent(rest.join('/')) : null;
+        } catch (error) {
+            return null;
+        }
+
+        if (TABS.includes(name) && param === null) {
+            return { name, param, tab: name };
+        }
+
+        if (name === 'verify') {
+            const match = param === null ? null : param.match(VERIFY_PATTERN);
+            return match ? { name, param: match[3], chainId: Number(match[1]), registry: match[2], tab: 'verification' } : null;
+        }
+
+        const route = PARAMETER_ROUTES[name];
+        if (route && param !== null && route.pattern.test(param)) {
+            return { name, param, tab: route.tab };
+        }
+
+        return null;
+    }
+
+    /**
+     * @param route { name, param } with param omitted for tab routes, and the chainId
+     *        and registry address of the credential for verify routes
+     * @returns The hash, starting with '#/'
+     */
+    function format({ name, param = null, chainId = null, registry = null }) {
+        if (param === null) {
+            return `#/${name}`;
+        }
+        if (name === 'verify') {
+            return `#/verify/${chainId}/${registry}/${param}`;
+        }
+        // DIDs stay readable: colons are valid in a fragment
+        return `#/${name}/${encodeURIComponent(String(param)).replace(/%3A/gi, ':')}`;
+    }
+
+    return {
+        TABS,
+        parse,
+        format
+    };
+});
@@ -0,0 +1,122 @@
+// Converts IdentityRegistryV2 DID documents into W3C DID Core JSON
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DIDDocuments = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DID_CORE_CONTEXT = 'https://www.w3.org/ns/did/v1';
+
+    // Verification relationships, in DID Core order
+    const RELATIONSHIPS = [
+        'authentication',
+        'assertionMethod',
+        'keyAgreement',
+        'capabilityInvocation',
+        'capabilityDelegation'
+    ];
+
+    // The registry stores every entry as a string: either a JSON object or a bare DID URL / service URL
+    function parseObject(entry) {
+        try {
+            const value = JSON.parse(entry);
+            return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function absoluteId(did, id) {
+        return id.startsWith('#') ? `${did}${id}` : id;
+    }
+
+    function isDIDUrl(entry) {
+        return /^did:[a-z0-9]+:\S+#\S+$/.test(entry) || /^#\S+$/.test(entry);
+    }
+
+    function isVerificationMethodEntry(entry) {
+        const object = parseObject(entry);
+        return object ? typeof object.id === 'string' && typeof object.type === 'string' : isDIDUrl(entry);
+    }
+
+    function isServiceEntry(entry) {
+        const object = parseObject(entry);
+        return object ? object.serviceEndpoint !== undefined : /^[a-z][a-z0-9+.-]*:\S+$/i.test(entry);
+    }
+
+    /**
+     * @param options { chainId, account } of the DID controller. A bare DID URL is
+     *        described as the controller's Ethereum account when both are known.
+     */
+    function toVerificationMethod(did, entry, options) {
+        const object = parseObject(entry);
+        if (object) {
+            return { ...object, id: absoluteId(did, object.id), controller: object.controller || did };
+        }
+
+        const method = { id: absoluteId(did, entry), type: 'EcdsaSecp256k1RecoveryMethod2020', controller: did };
+        if (options.chainId && options.account) {
+            method.blockchainAccountId = `eip155:${options.chainId}:${options.account}`;
+        }
+        return method;
+    }
+
+    // Relationships reference a verification method by DID URL or embed one
+    function toRelationshipEntry(did, entry, options) {
+        return parseObject(entry) ? toVerificationMethod(did, entry, options) : absoluteId(did, entry);
+    }
+
+    function toService(did, entry, index) {
+        const object = parseObject(entry);
+        if (object) {
+            return { ...object, id: absoluteId(did, object.id || `#service-${index + 1}`) };
+        }
+
+        return {
+            id: `${did}#service-${index + 1}`,
+            type: /^https?:/.test(entry) ? 'LinkedDomains' : 'Service',
+            serviceEndpoint: entry
+        };
+    }
+
+    /**
+     * Build a DID Core document from the tuple returned by resolveDID/resolveDIDById.
+     * Empty properties are omitted; the DID Core context always comes first.
+     * @param document The on-chain DID document
+     * @param options { chainId, account } used to describe bare verification method references
+     */
+    function toW3C(document, options = {}) {
+        const did = document.id;
+        const contexts = [...document.context].filter(context => context !== DID_CORE_CONTEXT);
+
+        const result = {
+            '@context': [DID_CORE_CONTEXT, ...contexts],
+            id: did
+        };
+
+        if (document.verificationMethod.length > 0) {
+            result.verificationMethod = [...document.verificationMethod].map(entry => toVerificationMethod(did, entry, options));
+        }
+
+        RELATIONSHIPS.forEach(relationship => {
+            if (document[relationship].length > 0) {
+                result[relationship] = [...document[relationship]].map(entry => toRelationshipEntry(did, entry, options));
+            }
+        });
+
+        if (document.service.length > 0) {
+            result.service = [...document.service].map((entry, i) => toService(did, entry, i));
+        }
+
+        return result;
+    }
+
+    return {
+        DID_CORE_CONTEXT,
+        RELATIONSHIPS,
+        isVerificationMethodEntry,
+        isServiceEntry,
+        toW3C
+    };
+});
@@ -0,0 +1,365 @@
+// Client for the IdentityRegistryV2 and CredentialRegistryV2 contracts, shared by the
+// frontend, the deploy scripts and the tests. Reads return plain objects, not ethers Results.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers'), require('./abis.js'));
+    } else {
+        root.DIDSystemSDK = factory(root.ethers, root.ContractABIs);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, ContractABIs) {
+    /**
+     * @typedef {Object} DIDDocument
+     * @property {string} id
+     * @property {string[]} context
+     * @property {string[]} verificationMethod
+     * @property {string[]} authentication
+     * @property {string[]} assertionMethod
+     * @property {string[]} capabilityInvocation
+     * @property {string[]} capabilityDelegation
+     * @property {string[]} keyAgreement
+     * @property {string[]} service
+     * @property {number} created Unix timestamp in seconds
+     * @property {number} updated Unix timestamp in seconds
+     * @property {boolean} active
+     */
+
+    /**
+     * @typedef {Object} Credential
+     * @property {string} id
+     * @property {string[]} credType
+     * @property {string} issuer Issuer DID
+     * @property {string} subject Subject DID
+     * @property {number} issuanceDate Unix timestamp in seconds
+     * @property {number} expirationDate Unix timestamp in seconds, 0 when it never expires
+     * @property {string} credentialStatus 'active', 'suspended' or 'revoked'
+     * @property {string} credentialSchema
+     * @property {boolean} selectiveDisclosure
+     * @property {string} zkProof
+     */
+
+    /**
+     * @typedef {Object} Claim
+     * @property {string} key
+     * @property {string} value
+     */
+
+    const DID_DOCUMENT_LISTS = [
+        'context', 'verificationMethod', 'authentication', 'assertionMethod',
+        'capabilityInvocation', 'capabilityDelegation', 'keyAgreement', 'service'
+    ];
+
+    /** @returns {DIDDocument} */
+    function toDIDDocument(result) {
+        const didDocument = { id: result.id };
+        DID_DOCUMENT_LISTS.forEach(name => {
+            didDocument[name] = [...result[name]];
+        });
+        didDocument.created = Number(result.created);
+        didDocument.updated = Number(result.updated);
+        didDocument.active = result.active;
+        return didDocument;
+    }
+
+    /** @returns {Credential} */
+    function toCredential(result) {
+        return {
+            id: result.id,
+            credType: [...result.credType],
+            issuer: result.issuer,
+            subject: result.subject,
+            issuanceDate: Number(result.issuanceDate),
+            expirationDate: Number(result.expirationDate),
+            credentialStatus: result.credentialStatus,
+            credentialSchema: result.credentialSchema,
+            selectiveDisclosure: result.selectiveDisclosure,
+            zkProof: result.zkProof
+        };
+    }
+
+    /**
+     * @param result [claimKeys, claimValues] as returned by getAllCredentialClaims
+     * @returns {Claim[]}
+     */
+    function toClaims([claimKeys, claimValues]) {
+        return claimKeys.map((key, i) => ({ key, value: claimValues[i] }));
+    }
+
+    // Result of an issuance, with the ID from its CredentialIssued event
+    function issuance(client, receipt) {
+        const event = client.findEvent(receipt, 'CredentialIssued');
+        return { credentialId: event ? event.args.credentialId : null, receipt };
+    }
+
+    // Public RPCs cap the block range of eth_getLogs; 10,000 blocks is within the common limits
+    const LOG_BLOCK_RANGE = 10000;
+
+    // Default for writes: send the transaction and wait until it is mined
+    async function sendAndWait(contract, method, args) {
+        const tx = await contract[method](...args);
+        return tx.wait();
+    }
+
+    class RegistryClient {
+        /**
+         * @param abi Contract ABI
+         * @param address Registry (proxy) address
+         * @param runner ethers signer for writes, or a provider for reads only
+         * @param send (contract, method, args, options) => receipt; replaces the default
+         *        send-and-wait, e.g. to estimate gas or track pending transactions first
+         * @param deploymentBlock Block the registry was deployed in; event scans start there
+         * @param logBlockRange Most blocks to scan per eth_getLogs request
+         */
+        constructor(abi, address, runner, { send = sendAndWait, deploymentBlock = 0, logBlockRange = LOG_BLOCK_RANGE } = {}) {
+            this.contract = new ethers.Contract(address, abi, runner);
+            this.send = send;
+            this.deploymentBlock = deploymentBlock;
+            this.logBlockRange = logBlockRange;
+        }
+
+        get address() {
+            return this.contract.target;
+        }
+
+        /**
+         * @param runner Another signer or provider
+         * @returns A client for the same registry, send function and event scan settings
+         */
+        connect(runner) {
+            const { send, deploymentBlock, logBlockRange } = this;
+            return new this.constructor(this.address, runner, { send, deploymentBlock, logBlockRange });
+        }
+
+        write(method, args, options = {}) {
+            return this.send(this.contract, method, args, options);
+        }
+
+        /**
+         * @returns The first event of that name in a receipt, parsed, or null
+         */
+        findEvent(receipt, eventName) {
+            for (const log of receipt.logs) {
+                try {
+                    const parsed = this.contract.interface.parseLog(log);
+                    if (parsed && parsed.name === eventName) return parsed;
+                } catch (error) {
+                    // Log emitted by another contract
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Events matching a filter, from the deployment block to the latest block, scanned in
+         * pages of logBlockRange blocks.
+         * @param filter A filter from contract.filters, or a topic filter such as [[topic0, ...], topic1]
+         * @returns {Promise<Object[]>} ethers EventLogs in chain order
+         */
+        async queryEvents(filter) {
+            const latest = await this.contract.runner.provider.getBlockNumber();
+            const events = [];
+            for (let fromBlock = this.deploymentBlock; fromBlock <= latest; fromBlock += this.logBlockRange) {
+                const toBlock = Math.min(fromBlock + this.logBlockRange - 1, latest);
+                events.push(...await this.contract.queryFilter(filter, fromBlock, toBlock));
+            }
+            return events;
+        }
+
+        async owner() {
+            return this.contract.owner();
+        }
+
+        async paused() {
+            return this.contract.paused();
+        }
+
+        pause(options) {
+            return this.write('pause', [], options);
+        }
+
+        unpause(options) {
+            return this.write('unpause', [], options);
+        }
+
+        transferOwnership(newOwner, options) {
+            return this.write('transferOwnership', [newOwner], options);
+        }
+
+        renounceOwnership(options) {
+            return this.write('renounceOwnership', [], options);
+        }
+    }
+
+    // Every write takes a trailing options object that is passed through to send()
+    class IdentityClient extends RegistryClient {
+        constructor(address, runner, options) {
+            super(ContractABIs.IdentityRegistryV2, address, runner, options);
+        }
+
+        createDID(did, context, verificationMethod, options) {
+            return this.write('createDID', [did, context, verificationMethod], options);
+        }
+
+        // Replaces both the contexts and the verification methods
+        updateDID(did, context, verificationMethod, options) {
+            return this.write('updateDID', [did, context, verificationMethod], options);
+        }
+
+        deactivateDID(did, options) {
+            return this.write('deactivateDID', [did], options);
+        }
+
+        addVerificationMethod(did, method, options) {
+            return this.write('addVerificationMethod', [did, method], options);
+        }
+
+        addServiceEndpoint(did, endpoint, options) {
+            return this.write('addServiceEndpoint', [did, endpoint], options);
+        }
+
+        /** @returns {Promise<DIDDocument>} Reverts with "DID not found" when the account has none */
+        async resolveDID(address) {
+            return toDIDDocument(await this.contract.resolveDID(address));
+        }
+
+        /** @returns {Promise<DIDDocument>} */
+        async resolveDIDById(did) {
+            return toDIDDocument(await this.contract.resolveDIDById(did));
+        }
+
+        async hasActiveDID(address) {
+            return this.contract.hasActiveDID(address);
+        }
+
+        /** @returns {Promise<bigint>} */
+        async getTotalDIDs() {
+            return this.contract.getTotalDIDs();
+        }
+    }
+
+    class CredentialClient extends RegistryClient {
+        constructor(address, runner, options) {
+            super(ContractABIs.CredentialRegistryV2, address, runner, options);
+        }
+
+        authorizeIssuer(issuer, did, options) {
+            return this.write('authorizeIssuer', [issuer, did], options);
+        }
+
+        deauthorizeIssuer(issuer, options) {
+            return this.write('deauthorizeIssuer', [issuer], options);
+        }
+
+        setCredentialTypeSupport(credentialType, supported, options) {
+            return this.write('setCredentialTypeSupport', [credentialType, supported], options);
+        }
+
+        /**
+         * @param {Claim[]} claims
+         * @param expirationDate Unix timestamp in seconds, 0 for a credential that never expires
+         * @returns {Promise<{ credentialId: bigint, receipt: Object }>}
+         */
+        async issueCredential({ subject, credentialType, claims = [], expirationDate = 0, credentialSchema = '', selectiveDisclosure = false }, options) {
+            const receipt = await this.write('issueCredential', [
+                subject,
+                credentialType,
+                claims.map(({ key }) => key),
+                claims.map(({ value }) => value),
+                expirationDate,
+                credentialSchema,
+                selectiveDisclosure
+            ], options);
+            return issuance(this, receipt);
+        }
+
+        /** @returns {Promise<{ credentialId: bigint, receipt: Object }>} */
+        async issueCredentialWithZKProof({ subject, credentialType, zkProof, expirationDate = 0 }, options) {
+            const receipt = await this.write('issueCredentialWithZKProof', [subject, credentialType, zkProof, expirationDate], options);
+            return issuance(this, receipt);
+        }
+
+        revokeCredential(credentialId, reason, options) {
+            return this.write('revokeCredential', [credentialId, reason], options);
+        }
+
+        suspendCredential(credentialId, reason, options) {
+            return this.write('suspendCredential', [credentialId, reason], options);
+        }
+
+        reactivateCredential(credentialId, options) {
+            return this.write('reactivateCredential', [credentialId], options);
+        }
+
+        async verifyCredential(credentialId) {
+            return this.contract.verifyCredential(credentialId);
+        }
+
+        /** @returns {Promise<Credential>} */
+        async getCredential(credentialId) {
+            return toCredential(await this.contract.getCredential(credentialId));
+        }
+
+        /**
+         * The stored credential record, including its proof but not its types or claims.
+         * @returns {Promise<Object>} Credential fields with issuanceDate and expirationDate as numbers
+         */
+        async credentials(credentialId) {
+            const record = await this.contract.credentials(credentialId);
+            return {
+                id: record.id,
+                issuer: record.issuer,
+                subject: record.subject,
+                issuanceDate: Number(record.issuanceDate),
+                expirationDate: Number(record.expirationDate),
+                credentialStatus: record.credentialStatus,
+                credentialSchema: record.credentialSchema,
+                proof: record.proof,
+                selectiveDisclosure: record.selectiveDisclosure,
+                zkProof: record.zkProof
+            };
+        }
+
+        async getCredentialClaim(credentialId, claimKey) {
+            return this.contract.getCredentialClaim(credentialId, claimKey);
+        }
+
+        /** @returns {Promise<Claim[]>} */
+        async getAllCredentialClaims(credentialId) {
+            return toClaims(await this.contract.getAllCredentialClaims(credentialId));
+        }
+
+        /** @returns {Promise<bigint[]>} */
+        async getSubjectCredentials(subject) {
+            return [...await this.contract.getSubjectCredentials(subject)];
+        }
+
+        /** @returns {Promise<bigint>} */
+        async subjectCredentials(subject, index) {
+            return this.contract.subjectCredentials(subject, index);
+        }
+
+        /** @returns {Promise<bigint>} */
+        async getTotalCredentials() {
+            return this.contract.getTotalCredentials();
+        }
+
+        async authorizedIssuers(issuer) {
+            return this.contract.authorizedIssuers(issuer);
+        }
+
+        async issuerDIDs(issuer) {
+            return this.contract.issuerDIDs(issuer);
+        }
+
+        async supportedCredentialTypes(credentialType) {
+            return this.contract.supportedCredentialTypes(credentialType);
+        }
+    }
+
+    return {
+        IdentityClient,
+        CredentialClient,
+        toDIDDocument,
+        toCredential,
+        toClaims
+    };
+});
@@ -0,0 +1,112 @@
+// did-resolver driver for DIDs registered in IdentityRegistryV2:
+//   new Resolver(getResolver(identityClient, { methods: ['ethr'] }))
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./didDocument.js'));
+    } else {
+        root.DIDSystemResolver = factory(root.DIDDocuments);
+    }
+})(typeof self !== 'undefined' ? self : this, function (DIDDocuments) {
+    const CONTENT_TYPE = 'application/did+ld+json';
+
+    // DID syntax (did:<method>:<method-specific-id>) without a path, query or fragment
+    const DID_PATTERN = /^did:[a-z0-9]+:(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2}|:)*(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2})$/;
+
+    // Revert reasons of resolveDIDById for a DID the registry does not know
+    const NOT_FOUND_REASONS = ['DID not found', 'Invalid DID'];
+
+    // ethers sets reason for JSON-RPC providers; Hardhat's in-process provider only has the message
+    function revertReason(error) {
+        if (error.reason) return error.reason;
+        const match = String(error.message).match(/reverted with reason string '([^']*)'/);
+        return match ? match[1] : null;
+    }
+
+    function errorResult(error, message) {
+        return {
+            didResolutionMetadata: { error, message },
+            didDocument: null,
+            didDocumentMetadata: {}
+        };
+    }
+
+    // XML Schema dateTime without milliseconds, as used by DID Core metadata
+    function dateTime(seconds) {
+        return new Date(seconds * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    // The registry keeps the DID-to-account mapping private; DIDCreated records the account,
+    // and a DID can only be created once
+    async function controllerAccount(identity, did) {
+        const [created] = await identity.queryEvents(identity.contract.filters.DIDCreated(null, did));
+        return created ? created.args.user : null;
+    }
+
+    /**
+     * Resolve a DID against the registry. Never throws: failures are reported in
+     * didResolutionMetadata.error as invalidDid, notFound or internalError.
+     * @param identity IdentityClient for the registry; its deploymentBlock bounds the
+     *        scan for the DID's controller account
+     * @param did DID without a path, query or fragment
+     * @returns W3C DID Resolution result { didResolutionMetadata, didDocument, didDocumentMetadata }
+     */
+    async function resolve(identity, did) {
+        if (typeof did !== 'string' || !DID_PATTERN.test(did)) {
+            return errorResult('invalidDid', `Not a valid DID: ${did}`);
+        }
+
+        let registered;
+        try {
+            registered = await identity.resolveDIDById(did);
+        } catch (error) {
+            if (NOT_FOUND_REASONS.includes(revertReason(error))) {
+                return errorResult('notFound', `${did} is not registered`);
+            }
+            return errorResult('internalError', error.shortMessage || error.message);
+        }
+
+        // Deactivated DIDs still resolve, so verifiers can tell them from unknown ones
+        const didDocumentMetadata = {
+            created: dateTime(registered.created),
+            updated: dateTime(registered.updated)
+        };
+        if (!registered.active) {
+            didDocumentMetadata.deactivated = true;
+        }
+
+        // Bare key references describe the controller's account, as blockchainAccountId
+        let chainId;
+        let account;
+        try {
+            [{ chainId }, account] = await Promise.all([
+                identity.contract.runner.provider.getNetwork(),
+                controllerAccount(identity, did)
+            ]);
+        } catch (error) {
+            return errorResult('internalError', error.shortMessage || error.message);
+        }
+
+        return {
+            didResolutionMetadata: { contentType: CONTENT_TYPE },
+            didDocument: DIDDocuments.toW3C(registered, { chainId, account }),
+            didDocumentMetadata
+        };
+    }
+
+    /**
+     * Build the driver registry for did-resolver's Resolver.
+     * @param identity IdentityClient for the registry
+     * @param methods DID methods whose identifiers are registered in it
+     * @returns { [method]: (did) => Promise<DIDResolutionResult> }
+     */
+    function getResolver(identity, { methods = ['ethr'] } = {}) {
+        const driver = did => resolve(identity, did);
+        return Object.fromEntries(methods.map(method => [method, driver]));
+    }
+
+    return {
+        CONTENT_TYPE,
+        resolve,
+        getResolver
+    };
+});
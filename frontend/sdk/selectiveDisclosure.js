@@ -0,0 +1,218 @@
+// SD-JWT VCs for credentials issued with selective disclosure: every claim is a salted,
+// hashed disclosure, and the digest of the issuer-signed JWT is anchored in CredentialRegistryV2
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers'), require('./verifiableCredential.js'));
+    } else {
+        root.SelectiveDisclosure = factory(root.ethers, root.VerifiableCredentials);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, VerifiableCredentials) {
+    const SD_JWT_TYPE = 'dc+sd-jwt';
+    const SD_ALG = 'sha-256';
+    // The only claim stored on-chain: the sha-256 of the issuer-signed JWT
+    const ANCHOR_CLAIM = 'sdJwtDigest';
+
+    const { base64url, encodeJSON, decodeJSON } = VerifiableCredentials;
+
+    function disclosureDigest(disclosure) {
+        return base64url(ethers.getBytes(ethers.sha256(ethers.toUtf8Bytes(disclosure))));
+    }
+
+    /**
+     * @returns The anchor of an issuer-signed JWT, as stored in the registry
+     */
+    function anchorDigest(jwt) {
+        return ethers.sha256(ethers.toUtf8Bytes(jwt));
+    }
+
+    function parseDisclosure(disclosure) {
+        const decoded = decodeJSON(disclosure);
+        if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[0] !== 'string' || typeof decoded[1] !== 'string') {
+            throw new Error('Not a claim disclosure');
+        }
+        const [salt, key, value] = decoded;
+        return { disclosure, digest: disclosureDigest(disclosure), salt, key, value };
+    }
+
+    /**
+     * Split an SD-JWT (<issuer-signed JWT>~<disclosure>~...~) into its parts.
+     * Key binding JWTs are not supported, so the last part must be empty.
+     * @returns { jwt, header, payload, signingInput, signature, disclosures: [{ disclosure, digest, salt, key, value }] }
+     * @throws Error when the text is not an SD-JWT
+     */
+    function decode(sdJwt) {
+        const parts = String(sdJwt).trim().split('~');
+        try {
+            if (parts.length < 2 || parts[parts.length - 1] !== '') throw new Error('Expected a trailing ~');
+            return {
+                jwt: parts[0],
+                ...VerifiableCredentials.decodeES256K(parts[0], SD_JWT_TYPE),
+                disclosures: parts.slice(1, -1).map(parseDisclosure)
+            };
+        } catch (error) {
+            throw new Error('Not an SD-JWT');
+        }
+    }
+
+    /**
+     * Issue an SD-JWT VC and anchor it in the registry. The claims stay off-chain: the registry
+     * record holds the subject, type, validity and the anchor, and is flagged for selective disclosure.
+     * @param credentials CredentialClient connected to the issuer's authorized account
+     * @param signer ethers Wallet holding the key of verificationMethod
+     * @param verificationMethod DID URL of the issuer's key, set as the JWT kid
+     * @param {Claim[]} claims Each becomes a disclosure the holder can reveal on its own
+     * @param expirationDate Unix timestamp in seconds, 0 for a credential that never expires
+     * @param issuedAt Unix timestamp in seconds for the iat claim
+     * @param options Passed to the registry write, e.g. { description }
+     * @returns {Promise<{ credentialId: bigint, receipt: Object, sdJwt: string, anchor: string }>}
+     */
+    async function issue(credentials, signer, {
+        verificationMethod,
+        subject,
+        credentialType,
+        claims = [],
+        expirationDate = 0,
+        credentialSchema = '',
+        issuedAt = Math.floor(Date.now() / 1000)
+    }, options) {
+        if (!signer.signingKey) {
+            throw new Error('SD-JWT signing needs a signer holding its private key, such as an ethers Wallet');
+        }
+        const issuer = await credentials.issuerDIDs(await credentials.contract.runner.getAddress());
+        if (!issuer) {
+            throw new Error('The sending account is not an authorized issuer');
+        }
+
+        const disclosures = claims.map(({ key, value }) =>
+            encodeJSON([base64url(ethers.randomBytes(16)), key, value]));
+
+        const payload = {
+            iss: issuer,
+            sub: subject,
+            iat: issuedAt,
+            vct: credentialType,
+            // Sorted, so the digests do not give away the order of the claims
+            _sd: disclosures.map(disclosureDigest).sort(),
+            _sd_alg: SD_ALG
+        };
+        if (expirationDate > 0) {
+            payload.exp = Number(expirationDate);
+        }
+
+        const jwt = VerifiableCredentials.signES256K({ alg: 'ES256K', kid: verificationMethod, typ: SD_JWT_TYPE }, payload, signer);
+        const anchor = anchorDigest(jwt);
+        const { credentialId, receipt } = await credentials.issueCredential({
+            subject,
+            credentialType,
+            claims: [{ key: ANCHOR_CLAIM, value: anchor }],
+            expirationDate,
+            credentialSchema,
+            selectiveDisclosure: true
+        }, options);
+
+        return { credentialId, receipt, sdJwt: [jwt, ...disclosures, ''].join('~'), anchor };
+    }
+
+    /**
+     * @returns {Claim[]} The claims an SD-JWT discloses
+     */
+    function claimsOf(sdJwt) {
+        return decode(sdJwt).disclosures.map(({ key, value }) => ({ key, value }));
+    }
+
+    /**
+     * Keep only the disclosures of the claims the holder chooses to reveal.
+     * @param sdJwt The SD-JWT as issued
+     * @param keys Claim keys to reveal
+     * @returns The SD-JWT to hand to a verifier
+     * @throws Error when the SD-JWT has no disclosure for one of the keys
+     */
+    function present(sdJwt, keys) {
+        const { jwt, disclosures } = decode(sdJwt);
+        const missing = keys.filter(key => !disclosures.some(disclosure => disclosure.key === key));
+        if (missing.length > 0) {
+            throw new Error(`The credential has no ${missing.join(', ')} claim`);
+        }
+
+        const revealed = disclosures.filter(disclosure => keys.includes(disclosure.key));
+        return [jwt, ...revealed.map(({ disclosure }) => disclosure), ''].join('~');
+    }
+
+    // Newest first: the subject's credential from this issuer whose anchor matches
+    async function findAnchor(credentials, subject, issuer, anchor) {
+        const credentialIds = await credentials.getSubjectCredentials(subject);
+        for (const credentialId of credentialIds.reverse()) {
+            if (await credentials.getCredentialClaim(credentialId, ANCHOR_CLAIM) !== anchor) continue;
+            const record = await credentials.getCredential(credentialId);
+            if (record.issuer === issuer && record.selectiveDisclosure) {
+                return { credentialId, record };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Verify an SD-JWT presentation: each disclosure against the digests the issuer signed,
+     * the issuer's key in its DID document, and the anchor and status in the registry.
+     * @param identity IdentityClient
+     * @param credentials CredentialClient of the registry holding the anchor
+     * @param presentation SD-JWT from present()
+     * @returns { verified: true, credentialId, issuer, subject, credentialType, claims, verificationMethod, signer },
+     *          with only the disclosed claims, or { verified: false, error }
+     */
+    async function verify({ identity, credentials }, presentation) {
+        try {
+            const decoded = decode(presentation);
+            const { header, payload, disclosures } = decoded;
+            if (payload._sd_alg !== SD_ALG || !Array.isArray(payload._sd)) {
+                throw new Error(`The SD-JWT does not use ${SD_ALG} disclosures`);
+            }
+
+            const disclosed = new Set();
+            for (const { digest } of disclosures) {
+                if (!payload._sd.includes(digest)) {
+                    throw new Error('A disclosure is not part of the credential');
+                }
+                if (disclosed.has(digest)) {
+                    throw new Error('A claim is disclosed twice');
+                }
+                disclosed.add(digest);
+            }
+
+            const signedBy = await VerifiableCredentials.checkKey(identity, payload.iss, header.kid,
+                VerifiableCredentials.jwtSigners(decoded), 'assertionMethod');
+
+            const anchored = await findAnchor(credentials, payload.sub, payload.iss, anchorDigest(decoded.jwt));
+            if (!anchored) {
+                throw new Error('The SD-JWT is not anchored in the registry');
+            }
+            const { credentialId, record } = anchored;
+            if (!await credentials.verifyCredential(credentialId)) {
+                throw new Error(`The credential is ${record.credentialStatus === 'active' ? 'expired' : record.credentialStatus}`);
+            }
+
+            return {
+                verified: true,
+                credentialId: String(credentialId),
+                issuer: payload.iss,
+                subject: payload.sub,
+                credentialType: payload.vct,
+                claims: disclosures.map(({ key, value }) => ({ key, value })),
+                ...signedBy
+            };
+        } catch (error) {
+            return { verified: false, error: error.message };
+        }
+    }
+
+    return {
+        SD_JWT_TYPE,
+        ANCHOR_CLAIM,
+        anchorDigest,
+        decode,
+        issue,
+        claimsOf,
+        present,
+        verify
+    };
+});
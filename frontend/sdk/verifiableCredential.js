@@ -0,0 +1,385 @@
+// W3C Verifiable Credentials (VC Data Model 2.0) from registry credentials, secured as a
+// VC-JWT (ES256K) or with an EthereumEip712Signature2021 Data Integrity proof
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers'), require('./didDocument.js'));
+    } else {
+        root.VerifiableCredentials = factory(root.ethers, root.DIDDocuments);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers, DIDDocuments) {
+    const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+    const JWT_TYPE = 'vc+jwt';
+    // credentialStatus type for credentials whose status is kept in CredentialRegistryV2
+    const STATUS_TYPE = 'CredentialRegistryV2';
+    const EIP712_PROOF_TYPE = 'EthereumEip712Signature2021';
+    const EIP712_DOMAIN = { name: EIP712_PROOF_TYPE };
+
+    // XML Schema dateTime without milliseconds
+    function dateTime(seconds) {
+        return new Date(seconds * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    function seconds(value) {
+        return Math.floor(Date.parse(value) / 1000);
+    }
+
+    /**
+     * Build an unsecured VC Data Model 2.0 credential.
+     * @param {Credential} credential As returned by the SDK's getCredential
+     * @param {Claim[]} claims As returned by the SDK's getAllCredentialClaims; they become
+     *        credentialSubject properties next to the subject's id
+     * @param options { id, status }: id is an optional URL for the credential, e.g. its verification
+     *        link; status { chainId, registry, credentialId } points verifiers at the on-chain record
+     */
+    function toW3C(credential, claims, options = {}) {
+        const document = { '@context': [VC_CONTEXT] };
+        if (options.id) {
+            document.id = options.id;
+        }
+
+        const credentialSubject = {};
+        claims.forEach(({ key, value }) => {
+            credentialSubject[key] = value;
+        });
+        credentialSubject.id = credential.subject;
+
+        Object.assign(document, {
+            type: [...credential.credType],
+            issuer: credential.issuer,
+            validFrom: dateTime(credential.issuanceDate),
+            credentialSubject
+        });
+        if (credential.expirationDate > 0) {
+            document.validUntil = dateTime(credential.expirationDate);
+        }
+        if (credential.credentialSchema) {
+            document.credentialSchema = { id: credential.credentialSchema, type: 'JsonSchema' };
+        }
+        if (options.status) {
+            const { chainId, registry, credentialId } = options.status;
+            document.credentialStatus = {
+                type: STATUS_TYPE,
+                chainId: Number(chainId),
+                registry: ethers.getAddress(registry),
+                credentialId: String(credentialId)
+            };
+        }
+        return document;
+    }
+
+    function base64url(bytes) {
+        return ethers.encodeBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        return ethers.decodeBase64(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    }
+
+    function encodeJSON(value) {
+        return base64url(ethers.toUtf8Bytes(JSON.stringify(value)));
+    }
+
+    function decodeJSON(text) {
+        return JSON.parse(ethers.toUtf8String(fromBase64url(text)));
+    }
+
+    /**
+     * Secure a credential as a VC-JWT (VC-JOSE-COSE): the credential is the JWT payload.
+     * ES256K needs the raw key, so browser wallets cannot sign these; use signDataIntegrity there.
+     * @param document Unsecured credential from toW3C
+     * @param signer ethers Wallet of the issuer
+     * @param verificationMethod DID URL of the issuer's key, set as the JWT kid
+     * @returns The compact JWT
+     */
+    function signJWT(document, signer, verificationMethod) {
+        if (!signer.signingKey) {
+            throw new Error('VC-JWT signing needs a signer holding its private key, such as an ethers Wallet');
+        }
+        return signES256K({ alg: 'ES256K', kid: verificationMethod, typ: JWT_TYPE }, document, signer);
+    }
+
+    /**
+     * Sign a compact JWS with ES256K, for VC-JWTs and the issuer-signed part of SD-JWTs.
+     * @param header JOSE header with alg ES256K
+     * @param payload JSON payload
+     * @param signer ethers Wallet; callers check that it holds its signingKey
+     * @returns The compact JWS
+     */
+    function signES256K(header, payload, signer) {
+        const signingInput = `${encodeJSON(header)}.${encodeJSON(payload)}`;
+        const signature = signer.signingKey.sign(ethers.sha256(ethers.toUtf8Bytes(signingInput)));
+        return `${signingInput}.${base64url(ethers.concat([signature.r, signature.s]))}`;
+    }
+
+    /**
+     * @param typ Expected JOSE typ header
+     * @returns { header, payload, signingInput, signature } of a compact ES256K JWS
+     * @throws Error when the text is not an ES256K JWS of that type
+     */
+    function decodeES256K(jwt, typ) {
+        const parts = String(jwt).trim().split('.');
+        if (parts.length !== 3) throw new Error('Expected three parts');
+        const header = decodeJSON(parts[0]);
+        const signature = fromBase64url(parts[2]);
+        if (header.typ !== typ || header.alg !== 'ES256K' || signature.length !== 64) {
+            throw new Error('Unsupported header');
+        }
+        return { header, payload: decodeJSON(parts[1]), signingInput: `${parts[0]}.${parts[1]}`, signature };
+    }
+
+    /**
+     * @returns { header, payload, signingInput, signature } of a compact VC-JWT
+     * @throws Error when the text is not a VC-JWT
+     */
+    function decodeJWT(jwt) {
+        try {
+            return decodeES256K(jwt, JWT_TYPE);
+        } catch (error) {
+            throw new Error('Not a VC-JWT');
+        }
+    }
+
+    // ES256K signatures carry no recovery bit, so either of the two candidate keys may have signed
+    function jwtSigners({ signingInput, signature }) {
+        const digest = ethers.sha256(ethers.toUtf8Bytes(signingInput));
+        const r = ethers.hexlify(signature.slice(0, 32));
+        const s = ethers.hexlify(signature.slice(32));
+        return [27, 28].map(v => ethers.recoverAddress(digest, ethers.Signature.from({ r, s, v })));
+    }
+
+    function typeName(key) {
+        return key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    function canonicalJSON(value) {
+        if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    // EIP-712 arrays hold a single type, so lists of objects (such as the credentials in a
+    // presentation, each with its own claims) are signed as lists of canonical JSON strings
+    function eip712Message(value) {
+        if (Array.isArray(value)) {
+            return value.some(item => item && typeof item === 'object') ? value.map(canonicalJSON) : value;
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, member]) => [key, eip712Message(member)]));
+        }
+        return value;
+    }
+
+    // EIP-712 types mirroring the message: strings, string lists, booleans, counts and nested objects
+    function eip712Types(message, primaryType) {
+        const types = {};
+
+        function structType(name, object) {
+            types[name] = Object.keys(object).sort().map(key => ({ name: key, type: memberType(key, object[key]) }));
+            return name;
+        }
+
+        function memberType(key, value) {
+            if (typeof value === 'string') return 'string';
+            if (typeof value === 'boolean') return 'bool';
+            if (Number.isSafeInteger(value) && value >= 0) return 'uint256';
+            if (Array.isArray(value) && value.every(item => typeof item === 'string')) return 'string[]';
+            if (value && typeof value === 'object' && !Array.isArray(value)) return structType(typeName(key), value);
+            throw new Error(`Cannot sign ${key}: only strings, string lists, booleans, counts and objects are supported`);
+        }
+
+        structType(primaryType, message);
+        return types;
+    }
+
+    /**
+     * Add an EthereumEip712Signature2021 Data Integrity proof to a credential or presentation.
+     * The signature covers the document and the proof options, and any ethers signer can
+     * create it, including browser wallets.
+     * @param document Unsecured document; its first type is the EIP-712 primary type
+     * @param signer ethers signer
+     * @param proofOptions { proofPurpose, verificationMethod, ... } and created, a Unix timestamp in seconds
+     * @returns The document with its proof
+     */
+    async function addProof(document, signer, { created = Math.floor(Date.now() / 1000), ...proofOptions }) {
+        const options = { type: EIP712_PROOF_TYPE, created: dateTime(created), ...proofOptions };
+        const primaryType = document.type[0];
+        const message = eip712Message({ ...document, proof: options });
+        const types = eip712Types(message, primaryType);
+        const proofValue = await signer.signTypedData(EIP712_DOMAIN, types, message);
+
+        return {
+            ...document,
+            proof: { ...options, proofValue, eip712: { domain: EIP712_DOMAIN, types, primaryType } }
+        };
+    }
+
+    /**
+     * Address that signed a document's proof. It is recomputed from the document, not from the
+     * types in the proof, so a proof cannot leave fields out of what was signed.
+     * @throws Error when the proof is missing or has another type or purpose
+     */
+    function proofSigner(secured, proofPurpose) {
+        const { proof, ...document } = secured;
+        if (!proof || proof.type !== EIP712_PROOF_TYPE || proof.proofPurpose !== proofPurpose) {
+            throw new Error(`Expected an ${EIP712_PROOF_TYPE} proof for ${proofPurpose}`);
+        }
+
+        const { proofValue, eip712, ...proofOptions } = proof;
+        const message = eip712Message({ ...document, proof: proofOptions });
+        return ethers.verifyTypedData(EIP712_DOMAIN, eip712Types(message, document.type[0]), message, proofValue);
+    }
+
+    /**
+     * Secure a credential with a Data Integrity proof for assertionMethod.
+     * @param document Unsecured credential from toW3C
+     * @param signer ethers signer of the issuer
+     * @param verificationMethod DID URL of the issuer's key
+     * @param created Proof creation time, Unix timestamp in seconds
+     * @returns The credential with its proof
+     */
+    function signDataIntegrity(document, signer, verificationMethod, created) {
+        return addProof(document, signer, { created, proofPurpose: 'assertionMethod', verificationMethod });
+    }
+
+    function methodAddress(method) {
+        if (method.blockchainAccountId) {
+            return method.blockchainAccountId.split(':').pop();
+        }
+        if (method.publicKeyHex) {
+            return ethers.computeAddress(`0x${method.publicKeyHex.replace(/^0x/, '')}`);
+        }
+        if (method.publicKeyJwk && method.publicKeyJwk.crv === 'secp256k1') {
+            const coordinate = value => ethers.hexlify(fromBase64url(value)).slice(2);
+            return ethers.computeAddress(`0x04${coordinate(method.publicKeyJwk.x)}${coordinate(method.publicKeyJwk.y)}`);
+        }
+        return null;
+    }
+
+    // The registry binds a DID to the account that created it; that account controls bare key references
+    async function controllerAccount(identity, did, candidates) {
+        for (const address of candidates) {
+            if (await identity.hasActiveDID(address) && (await identity.resolveDID(address)).id === did) {
+                return address;
+            }
+        }
+        return null;
+    }
+
+    const RELATIONSHIPS = {
+        assertionMethod: { role: 'Issuer', description: 'an assertion method' },
+        authentication: { role: 'Holder', description: 'an authentication method' }
+    };
+
+    /**
+     * Find a DID's verification method in a relationship and check that one of the candidate
+     * addresses holds its key. DID documents from the registry rarely list relationships;
+     * without one, any of the document's verification methods qualifies.
+     * @param relationship 'assertionMethod' for issuers, 'authentication' for holders
+     * @returns The verification method and the address that signed
+     * @throws Error explaining why the key does not belong to the DID
+     */
+    async function checkKey(identity, did, verificationMethod, candidates, relationship) {
+        const { role, description } = RELATIONSHIPS[relationship];
+        if (!verificationMethod || !verificationMethod.startsWith(`${did}#`)) {
+            throw new Error(`The proof is not signed with a key of the ${role.toLowerCase()}`);
+        }
+
+        let registered;
+        try {
+            registered = await identity.resolveDIDById(did);
+        } catch (error) {
+            throw new Error(`${role} DID ${did} is not registered`);
+        }
+        if (!registered.active) {
+            throw new Error(`${role} DID ${did} is deactivated`);
+        }
+
+        const { chainId } = await identity.contract.runner.provider.getNetwork();
+        const account = await controllerAccount(identity, did, candidates);
+        const didDocument = DIDDocuments.toW3C(registered, { chainId, account });
+
+        const entries = didDocument[relationship] || (didDocument.verificationMethod || []).map(method => method.id);
+        const listed = entries.some(entry => (typeof entry === 'string' ? entry : entry.id) === verificationMethod);
+        const method = (didDocument.verificationMethod || []).concat(didDocument[relationship] || [])
+            .find(entry => typeof entry === 'object' && entry.id === verificationMethod);
+        if (!listed || !method) {
+            throw new Error(`${verificationMethod} is not ${description} of ${did}`);
+        }
+
+        const expected = methodAddress(method);
+        const signer = candidates.find(address => expected && address.toLowerCase() === expected.toLowerCase());
+        if (!signer) {
+            throw new Error(`The signature does not match ${verificationMethod}`);
+        }
+        return { verificationMethod: method, signer };
+    }
+
+    /**
+     * Verify a VC-JWT or a credential with a Data Integrity proof against the issuer's DID
+     * document in IdentityRegistryV2, and check its validity period. Revocation is on-chain:
+     * check it with the CredentialClient's verifyCredential.
+     * @param identity IdentityClient for the registry
+     * @param secured Compact VC-JWT string, or a credential object with its proof
+     * @param now Unix timestamp in seconds
+     * @returns { verified: true, credential, verificationMethod, signer } or { verified: false, error }
+     */
+    async function verify(identity, secured, now = Math.floor(Date.now() / 1000)) {
+        try {
+            let credential;
+            let verificationMethod;
+            let candidates;
+
+            if (typeof secured === 'string') {
+                const jwt = decodeJWT(secured);
+                credential = jwt.payload;
+                verificationMethod = jwt.header.kid;
+                candidates = jwtSigners(jwt);
+            } else {
+                const { proof, ...document } = secured;
+                credential = document;
+                verificationMethod = proof && proof.verificationMethod;
+                candidates = [proofSigner(secured, 'assertionMethod')];
+            }
+
+            if (!credential['@context'] || credential['@context'][0] !== VC_CONTEXT) {
+                throw new Error('Not a VC Data Model 2.0 credential');
+            }
+            if (credential.validFrom && seconds(credential.validFrom) > now) {
+                throw new Error('The credential is not valid yet');
+            }
+            if (credential.validUntil && seconds(credential.validUntil) < now) {
+                throw new Error('The credential has expired');
+            }
+
+            const issuer = typeof credential.issuer === 'string' ? credential.issuer : credential.issuer.id;
+            const key = await checkKey(identity, issuer, verificationMethod, candidates, 'assertionMethod');
+            return { verified: true, credential, ...key };
+        } catch (error) {
+            return { verified: false, error: error.message };
+        }
+    }
+
+    return {
+        VC_CONTEXT,
+        STATUS_TYPE,
+        toW3C,
+        signJWT,
+        decodeJWT,
+        signDataIntegrity,
+        verify,
+        addProof,
+        proofSigner,
+        checkKey,
+        canonicalJSON,
+        base64url,
+        fromBase64url,
+        encodeJSON,
+        decodeJSON,
+        signES256K,
+        decodeES256K,
+        jwtSigners
+    };
+});
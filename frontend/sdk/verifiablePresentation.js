@@ -0,0 +1,151 @@
+// W3C Verifiable Presentations of registry credentials, signed by the holder and bound to
+// the verifier's challenge and domain
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./verifiableCredential.js'));
+    } else {
+        root.VerifiablePresentations = factory(root.VerifiableCredentials);
+    }
+})(typeof self !== 'undefined' ? self : this, function (VerifiableCredentials) {
+    const { VC_CONTEXT, STATUS_TYPE, canonicalJSON } = VerifiableCredentials;
+
+    /**
+     * Build an unsigned presentation.
+     * @param holder Holder DID, the subject of every credential
+     * @param credentials Credentials from VerifiableCredentials.toW3C, built with their status
+     */
+    function create(holder, credentials) {
+        return {
+            '@context': [VC_CONTEXT],
+            type: ['VerifiablePresentation'],
+            holder,
+            verifiableCredential: credentials
+        };
+    }
+
+    /**
+     * Sign a presentation for one verifier with a Data Integrity proof for authentication.
+     * @param presentation From create()
+     * @param signer ethers signer of the holder
+     * @param verificationMethod DID URL of a key in the holder's authentication relationship
+     * @param challenge The verifier's nonce
+     * @param domain The verifier's domain, e.g. its origin
+     * @param created Proof creation time, Unix timestamp in seconds
+     * @returns The presentation with its proof
+     */
+    async function sign(presentation, signer, { verificationMethod, challenge, domain, created }) {
+        if (!challenge || !domain) {
+            throw new Error('A presentation needs the verifier\'s challenge and domain');
+        }
+        return VerifiableCredentials.addProof(presentation, signer, {
+            created,
+            proofPurpose: 'authentication',
+            verificationMethod,
+            challenge,
+            domain
+        });
+    }
+
+    // The registry is the authority for a presented credential: its content must match the
+    // on-chain record and verifyCredential must accept it. Issuer proofs inside are not needed.
+    async function checkCredential(registry, chainId, holder, credential) {
+        const status = credential.credentialStatus || {};
+        const credentialId = /^\d+$/.test(status.credentialId) ? status.credentialId : null;
+        const fail = error => ({ credentialId, verified: false, error });
+
+        if (status.type !== STATUS_TYPE || credentialId === null) {
+            return fail('The credential has no registry status');
+        }
+        if (status.chainId !== chainId || String(status.registry).toLowerCase() !== registry.address.toLowerCase()) {
+            return fail('The credential is from another registry');
+        }
+        if (!credential.credentialSubject || credential.credentialSubject.id !== holder) {
+            return fail('The holder is not the credential subject');
+        }
+
+        let record;
+        let claims;
+        let isValid;
+        try {
+            [record, claims, isValid] = await Promise.all([
+                registry.getCredential(credentialId),
+                registry.getAllCredentialClaims(credentialId),
+                registry.verifyCredential(credentialId)
+            ]);
+        } catch (error) {
+            return fail('The credential is not in the registry');
+        }
+
+        const { proof, ...presented } = credential;
+        const expected = VerifiableCredentials.toW3C(record, claims, { id: presented.id, status });
+        if (canonicalJSON(presented) !== canonicalJSON(expected)) {
+            return fail('The credential does not match the registry');
+        }
+        if (!isValid) {
+            return fail(`The credential is ${record.credentialStatus === 'active' ? 'expired' : record.credentialStatus}`);
+        }
+        return { credentialId, verified: true };
+    }
+
+    function isNonEmptyString(value) {
+        return typeof value === 'string' && value.length > 0;
+    }
+
+    /**
+     * Verify a presentation: the holder's signature and its key in the holder's DID document,
+     * the verifier's challenge and domain, and each credential against the registry.
+     * @param identity IdentityClient
+     * @param credentials CredentialClient of the registry the credentials must come from
+     * @param presentation Signed presentation
+     * @param challenge The nonce the verifier issued; required
+     * @param domain The verifier's domain; required
+     * @returns { verified, holder, signer, verificationMethod, credentials: [{ credentialId, verified, error }] },
+     *          or { verified: false, error } when the presentation itself is rejected
+     */
+    async function verify({ identity, credentials }, presentation, { challenge, domain } = {}) {
+        try {
+            if (!isNonEmptyString(challenge) || !isNonEmptyString(domain)) {
+                throw new Error('The verifier must give the challenge and domain it expects');
+            }
+            const signer = VerifiableCredentials.proofSigner(presentation, 'authentication');
+            const { holder, proof } = presentation;
+            if (!isNonEmptyString(proof.challenge) || !isNonEmptyString(proof.domain)) {
+                throw new Error('The presentation is not bound to a challenge and domain');
+            }
+            if (proof.challenge !== challenge) {
+                throw new Error('The presentation was signed for another challenge');
+            }
+            if (proof.domain !== domain) {
+                throw new Error('The presentation was signed for another domain');
+            }
+
+            const key = await VerifiableCredentials.checkKey(identity, holder, proof.verificationMethod, [signer], 'authentication');
+
+            const presented = [].concat(presentation.verifiableCredential || []);
+            if (presented.length === 0) {
+                throw new Error('The presentation holds no credentials');
+            }
+
+            const { chainId } = await credentials.contract.runner.provider.getNetwork();
+            const results = [];
+            for (const credential of presented) {
+                results.push(await checkCredential(credentials, Number(chainId), holder, credential));
+            }
+
+            return {
+                verified: results.every(result => result.verified),
+                holder,
+                ...key,
+                credentials: results
+            };
+        } catch (error) {
+            return { verified: false, error: error.message };
+        }
+    }
+
+    return {
+        create,
+        sign,
+        verify
+    };
+});
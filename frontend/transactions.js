@@ -0,0 +1,424 @@
+// Shared transaction layer: gas estimation, pending-transaction tracking,
+// speed up / cancel and user-facing revert explanations
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TransactionManager = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const STORAGE_KEY = 'didSystem.transactions';
+    const MAX_STORED_TRANSACTIONS = 50;
+
+    // Headroom on top of the node's gas estimate
+    const GAS_LIMIT_BUFFER_PERCENT = 20n;
+
+    // Replacement transactions must outbid the original by at least 10%
+    const FEE_BUMP_PERCENT = 125n;
+
+    const POLL_INTERVAL_MS = 4000;
+
+    // Polling backs off after provider errors, and gives up after this many in a row
+    const MAX_POLL_BACKOFF_MS = 60000;
+    const MAX_POLL_FAILURES = 8;
+
+    // Errors that say nothing about the transaction: the node was unreachable, slow or rate limiting
+    const TRANSIENT_ERROR_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'UNKNOWN_ERROR', -32005, -32603, 429];
+    const TRANSIENT_ERROR_PATTERN = /rate limit|too many requests|timeout|timed out|network|failed to fetch|ECONNRESET|ECONNREFUSED/i;
+
+    // Revert strings of IdentityRegistryV2, CredentialRegistryV2 and OpenZeppelin
+    const REVERT_EXPLANATIONS = {
+        'Not DID owner': 'Only the account that created this DID can change it.',
+        'DID is deactivated': 'This DID has been deactivated and can no longer be changed.',
+        'DID already exists': 'Another account has already registered this DID identifier.',
+        'Address already has DID': 'This account already has a DID. Update it instead of creating a new one.',
+        'DID not found': 'No DID is registered under this identifier.',
+        'DID cannot be empty': 'Please enter a DID identifier.',
+        'Invalid DID': 'Please enter a DID identifier.',
+        'Method cannot be empty': 'Please enter a verification method.',
+        'Endpoint cannot be empty': 'Please enter a service endpoint.',
+        'Not authorized issuer': 'Your account is not an authorized credential issuer.',
+        'Not authorized': 'Only the issuer of this credential or the registry owner can do this.',
+        'Unsupported credential type': 'The registry does not accept this credential type. Ask the registry owner to enable it.',
+        'Claims arrays length mismatch': 'Every claim needs both a key and a value.',
+        'Invalid expiration date': 'The expiration date must be in the future.',
+        'Subject cannot be empty': 'Please enter the subject DID.',
+        'ZK proof cannot be empty': 'Please enter the zero-knowledge proof.',
+        'Invalid credential ID': 'No credential exists with this ID.',
+        'Credential not suspended': 'Only suspended credentials can be reactivated.',
+        'Pausable: paused': 'The registry is paused by its owner. Please try again later.',
+        'Pausable: not paused': 'The registry is not paused.',
+        'Ownable: caller is not the owner': 'Only the registry owner can do this.'
+    };
+
+    const WALLET_ERRORS = [
+        { pattern: /user (rejected|denied)|ACTION_REJECTED/i, explanation: 'You rejected the request in your wallet.' },
+        { pattern: /insufficient funds/i, explanation: 'Your account does not have enough ETH to pay for gas.' },
+        { pattern: /nonce (too low|has already been used)/i, explanation: 'This transaction was already replaced or mined.' },
+        { pattern: /replacement (transaction )?underpriced/i, explanation: 'The replacement fee is too low. Try again with a higher fee.' }
+    ];
+
+    function collectMessages(error, depth = 0) {
+        if (!error || depth > 4) return [];
+        if (typeof error === 'string') return [error];
+
+        const messages = [error.reason, error.shortMessage, error.message]
+            .filter(message => typeof message === 'string');
+        if (error.revert && error.revert.args) {
+            messages.unshift(...error.revert.args.filter(arg => typeof arg === 'string'));
+        }
+        return messages.concat(
+            collectMessages(error.error, depth + 1),
+            collectMessages(error.data, depth + 1),
+            collectMessages(error.info && error.info.error, depth + 1)
+        );
+    }
+
+    /**
+     * Turn a provider, wallet or contract error into a sentence for the user.
+     */
+    function explainError(error) {
+        if (error && (error.code === 4001 || error.code === 'ACTION_REJECTED')) {
+            return 'You rejected the request in your wallet.';
+        }
+
+        const messages = collectMessages(error);
+        for (const message of messages) {
+            const reason = Object.keys(REVERT_EXPLANATIONS).find(key => message.includes(key));
+            if (reason) return REVERT_EXPLANATIONS[reason];
+        }
+        for (const message of messages) {
+            const walletError = WALLET_ERRORS.find(({ pattern }) => pattern.test(message));
+            if (walletError) return walletError.explanation;
+        }
+        for (const message of messages) {
+            const match = message.match(/reverted with reason string '([^']*)'|execution reverted: ([^"\n]*)/);
+            if (match) return `The contract rejected the transaction: ${match[1] || match[2]}`;
+        }
+
+        return messages[0] || 'Unknown error';
+    }
+
+    function isTransientError(error) {
+        if (!error) return false;
+        if (TRANSIENT_ERROR_CODES.includes(error.code) || (error.error && TRANSIENT_ERROR_CODES.includes(error.error.code))) {
+            return true;
+        }
+        return collectMessages(error).some(message => TRANSIENT_ERROR_PATTERN.test(message));
+    }
+
+    function bumpFee(value) {
+        return value === undefined || value === null ? undefined : BigInt(value.toString()) * FEE_BUMP_PERCENT / 100n;
+    }
+
+    class TransactionManager {
+        /**
+         * @param storage localStorage-like store that keeps the list across reloads
+         * @param onChange Called with the transaction list whenever it changes
+         * @param pollInterval Milliseconds between receipt checks
+         */
+        constructor({ storage = null, onChange = () => {}, pollInterval = POLL_INTERVAL_MS } = {}) {
+            this.storage = storage;
+            this.onChange = onChange;
+            this.pollInterval = pollInterval;
+            this.provider = null;
+            this.signer = null;
+            this.chainId = null;
+            this.account = null;
+            this.transactions = this.load();
+
+            // Callers waiting for a nonce to be mined, by "chainId:from:nonce"
+            this.waiters = new Map();
+
+            // Hashes currently being polled
+            this.tracking = new Set();
+        }
+
+        load() {
+            if (!this.storage) return [];
+            try {
+                return JSON.parse(this.storage.getItem(STORAGE_KEY)) || [];
+            } catch (error) {
+                console.warn('Ignoring unreadable transaction history:', error);
+                return [];
+            }
+        }
+
+        save() {
+            this.transactions = this.transactions.slice(0, MAX_STORED_TRANSACTIONS);
+            if (this.storage) {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.transactions));
+            }
+            this.onChange(this.getTransactions());
+        }
+
+        /**
+         * Switch to a connected account and resume tracking its pending transactions.
+         */
+        setContext(provider, signer, chainId, account) {
+            this.provider = provider;
+            this.signer = signer;
+            this.chainId = chainId === null ? null : Number(chainId);
+            this.account = account ? account.toLowerCase() : null;
+            this.onChange(this.getTransactions());
+
+            if (provider) {
+                this.getTransactions()
+                    .filter(record => record.status === 'pending')
+                    .forEach(record => this.track(record.hash).catch(() => {}));
+            }
+        }
+
+        getTransactions() {
+            return this.transactions.filter(record =>
+                record.chainId === this.chainId && record.from === this.account
+            );
+        }
+
+        find(hash) {
+            return this.transactions.find(record => record.hash === hash);
+        }
+
+        update(hash, changes) {
+            const record = this.find(hash);
+            if (record) {
+                Object.assign(record, changes);
+                this.save();
+            }
+        }
+
+        async estimateGas(contract, method, args) {
+            return contract[method].estimateGas(...args);
+        }
+
+        /**
+         * Estimate gas, send a contract transaction and wait until it is mined.
+         * Reverts are detected during estimation, before the wallet is asked to sign.
+         * @returns The transaction receipt
+         */
+        async send(contract, method, args, { description = method, onSubmitted = () => {} } = {}) {
+            const estimate = BigInt((await this.estimateGas(contract, method, args)).toString());
+            const gasLimit = estimate + estimate * GAS_LIMIT_BUFFER_PERCENT / 100n;
+
+            const tx = await contract[method](...args, { gasLimit: gasLimit.toString() });
+            this.transactions.unshift({
+                hash: tx.hash,
+                description,
+                status: 'pending',
+                chainId: this.chainId,
+                from: this.account,
+                to: tx.to,
+                data: tx.data,
+                value: (tx.value || 0).toString(),
+                nonce: tx.nonce,
+                gasLimit: gasLimit.toString(),
+                gasPrice: tx.gasPrice ? tx.gasPrice.toString() : null,
+                maxFeePerGas: tx.maxFeePerGas ? tx.maxFeePerGas.toString() : null,
+                maxPriorityFeePerGas: tx.maxPriorityFeePerGas ? tx.maxPriorityFeePerGas.toString() : null,
+                submittedAt: Date.now()
+            });
+            this.save();
+            onSubmitted(tx);
+
+            // Resolves when this transaction or its speed-up is mined
+            const mined = this.waitForNonce(this.find(tx.hash));
+            this.track(tx.hash).catch(error => console.error('Error tracking transaction:', error));
+            return mined;
+        }
+
+        nonceKey(record) {
+            return `${record.chainId}:${record.from}:${record.nonce}`;
+        }
+
+        waitForNonce(record) {
+            return new Promise((resolve, reject) => {
+                const key = this.nonceKey(record);
+                if (!this.waiters.has(key)) this.waiters.set(key, []);
+                this.waiters.get(key).push({ resolve, reject });
+            });
+        }
+
+        settleNonce(record, receipt, error) {
+            const key = this.nonceKey(record);
+            const waiters = this.waiters.get(key) || [];
+            this.waiters.delete(key);
+            waiters.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(receipt)));
+        }
+
+        /**
+         * Poll a transaction until it is mined or another transaction takes its nonce.
+         */
+        async track(hash) {
+            if (this.tracking.has(hash)) return null;
+            this.tracking.add(hash);
+            try {
+                return await this.pollUntilMined(this.find(hash));
+            } finally {
+                this.tracking.delete(hash);
+            }
+        }
+
+        async pollUntilMined(record) {
+            const { hash } = record;
+            let failures = 0;
+            while (record.status === 'pending') {
+                try {
+                    const outcome = await this.checkPending(record);
+                    if (outcome !== undefined) return outcome;
+                    failures = 0;
+                } catch (error) {
+                    failures += 1;
+                    if (!isTransientError(error) || failures >= MAX_POLL_FAILURES) {
+                        // The record stays pending: tracking resumes on the next setContext
+                        this.settleNonce(record, null, error);
+                        throw error;
+                    }
+                    console.warn(`Retrying receipt check for ${hash}:`, error);
+                }
+
+                const delay = Math.min(this.pollInterval * 2 ** failures, MAX_POLL_BACKOFF_MS);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+            return null;
+        }
+
+        // One receipt check: the receipt once mined, null once replaced elsewhere, undefined while pending
+        async checkPending(record) {
+            const { hash } = record;
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) {
+                return this.handleMined(record, receipt);
+            }
+
+            // Replaced outside this app (e.g. from the wallet's own speed-up button)
+            const confirmedNonce = await this.provider.getTransactionCount(record.from, 'latest');
+            if (Number(confirmedNonce) > record.nonce && !(await this.provider.getTransactionReceipt(hash))) {
+                const siblings = this.transactions.filter(other => other.hash !== hash && this.nonceKey(other) === this.nonceKey(record));
+                if (siblings.every(other => other.status !== 'pending')) {
+                    this.update(hash, { status: 'replaced' });
+                    this.settleNonce(record, null, new Error('Transaction was replaced outside this app'));
+                }
+                return null;
+            }
+            return undefined;
+        }
+
+        handleMined(record, receipt) {
+            const succeeded = Number(receipt.status) === 1;
+            record.status = succeeded ? 'confirmed' : 'failed';
+            record.blockNumber = receipt.blockNumber;
+
+            // Any other transaction with the same nonce can no longer be mined
+            this.transactions
+                .filter(other => other !== record && other.status === 'pending' && this.nonceKey(other) === this.nonceKey(record))
+                .forEach(other => {
+                    other.status = record.cancels === other.hash ? 'cancelled' : 'replaced';
+                    other.replacedBy = record.hash;
+                });
+            this.save();
+
+            if (record.cancels) {
+                this.settleNonce(record, receipt, new Error('Transaction was cancelled'));
+            } else if (!succeeded) {
+                this.settleNonce(record, receipt, new Error(`${record.description} failed on-chain`));
+            } else {
+                this.settleNonce(record, receipt);
+            }
+            return receipt;
+        }
+
+        /**
+         * Resend a pending transaction with the same nonce and higher fees.
+         */
+        async speedUp(hash) {
+            const record = this.find(hash);
+            return this.replace(record, {
+                to: record.to,
+                data: record.data,
+                value: record.value
+            }, `${record.description} (sped up)`);
+        }
+
+        /**
+         * Replace a pending transaction with an empty transfer to the sender.
+         */
+        async cancel(hash) {
+            const record = this.find(hash);
+            return this.replace(record, {
+                to: this.account,
+                data: '0x',
+                value: '0',
+                cancels: record.hash
+            }, `Cancel: ${record.description}`, 21000n);
+        }
+
+        // Wallets do not always report every fee of the transactions they send; fees that
+        // were not recorded are bumped from the network's current fee data instead
+        async replacementFees(record) {
+            if (record.maxFeePerGas && record.maxPriorityFeePerGas) {
+                return {
+                    maxFeePerGas: bumpFee(record.maxFeePerGas).toString(),
+                    maxPriorityFeePerGas: bumpFee(record.maxPriorityFeePerGas).toString()
+                };
+            }
+            if (!record.maxFeePerGas && record.gasPrice) {
+                return { gasPrice: bumpFee(record.gasPrice).toString() };
+            }
+
+            const feeData = await this.provider.getFeeData();
+            if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+                const recorded = BigInt(record.maxFeePerGas || 0);
+                const maxFeePerGas = recorded > feeData.maxFeePerGas ? recorded : feeData.maxFeePerGas;
+                return {
+                    maxFeePerGas: bumpFee(maxFeePerGas).toString(),
+                    maxPriorityFeePerGas: bumpFee(feeData.maxPriorityFeePerGas).toString()
+                };
+            }
+            return { gasPrice: bumpFee(feeData.gasPrice).toString() };
+        }
+
+        async replace(record, fields, description, gasLimit = BigInt(record.gasLimit)) {
+            if (!record || record.status !== 'pending') {
+                throw new Error('Only pending transactions can be replaced');
+            }
+
+            const fees = await this.replacementFees(record);
+
+            const { cancels, ...request } = fields;
+            const tx = await this.signer.sendTransaction({
+                ...request,
+                nonce: record.nonce,
+                gasLimit: gasLimit.toString(),
+                ...fees
+            });
+
+            const replacement = {
+                ...record,
+                ...fields,
+                ...fees,
+                hash: tx.hash,
+                description,
+                status: 'pending',
+                gasLimit: gasLimit.toString(),
+                submittedAt: Date.now()
+            };
+            this.transactions.unshift(replacement);
+            this.save();
+
+            this.track(tx.hash).catch(error => console.error('Error tracking transaction:', error));
+            return replacement;
+        }
+
+        clearFinished() {
+            this.transactions = this.transactions.filter(record =>
+                record.status === 'pending' || record.chainId !== this.chainId || record.from !== this.account
+            );
+            this.save();
+        }
+    }
+
+    TransactionManager.explainError = explainError;
+    TransactionManager.REVERT_EXPLANATIONS = REVERT_EXPLANATIONS;
+
+    return TransactionManager;
+});
@@ -0,0 +1,198 @@
+// DOM builders for views that show on-chain data. Every value from the contracts is
+// set through textContent, never parsed as HTML: any authorized issuer controls it.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Views = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MESSAGE_STYLES = {
+        success: { color: 'bg-green-500', icon: 'fas fa-check-circle' },
+        error: { color: 'bg-red-500', icon: 'fas fa-times-circle' },
+        warning: { color: 'bg-yellow-500', icon: 'fas fa-exclamation-triangle' },
+        info: { color: 'bg-blue-500', icon: 'fas fa-info-circle' }
+    };
+
+    /**
+     * Create an element.
+     * @param tag Tag name
+     * @param className Class attribute, or '' for none
+     * @param children Strings (added as text nodes) and elements
+     */
+    function el(tag, className, ...children) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        children.forEach(child => {
+            if (child === null || child === undefined) return;
+            element.append(typeof child === 'object' ? child : String(child));
+        });
+        return element;
+    }
+
+    function icon(className) {
+        return el('i', className);
+    }
+
+    // A "Label: value" line
+    function field(label, value) {
+        return el('p', '', el('strong', '', `${label}:`), ` ${value}`);
+    }
+
+    function formatDate(timestamp) {
+        return new Date(Number(timestamp) * 1000).toLocaleDateString();
+    }
+
+    /**
+     * Holder dashboard card for a credential.
+     * @param handlers { onView, onVerify } click handlers
+     * @param statusChange { from, to } when the status changed since the holder last saw it
+     */
+    function credentialCard(id, credential, isValid, handlers, statusChange = null) {
+        const statusColor = isValid ? 'green' : 'red';
+
+        const card = el('div', 'bg-white border rounded-lg p-4 shadow-sm',
+            el('div', 'flex justify-between items-start mb-2',
+                el('h4', 'font-medium text-gray-900', `Credential #${id}`),
+                el('span', `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-${statusColor}-100 text-${statusColor}-800`,
+                    isValid ? 'Valid' : 'Invalid')
+            ),
+            el('div', 'text-sm text-gray-600 space-y-1',
+                field('Type', credential.credType.join(', ')),
+                field('Issuer', credential.issuer),
+                field('Status', credential.credentialStatus),
+                field('Issued', formatDate(credential.issuanceDate)),
+                credential.expirationDate > 0 ? field('Expires', formatDate(credential.expirationDate)) : null
+            ),
+            statusChange ? el('p', 'mt-2 px-2 py-1 rounded bg-yellow-100 text-yellow-800 text-xs font-medium',
+                icon('fas fa-bell mr-1'), `Status changed since last seen: ${statusChange.from} → ${statusChange.to}`) : null
+        );
+        card.dataset.credentialId = id.toString();
+
+        const viewButton = el('button', 'text-blue-600 hover:text-blue-800 text-sm', icon('fas fa-eye mr-1'), 'View Details');
+        viewButton.addEventListener('click', handlers.onView);
+        const verifyButton = el('button', 'text-green-600 hover:text-green-800 text-sm', icon('fas fa-check mr-1'), 'Verify');
+        verifyButton.addEventListener('click', handlers.onVerify);
+        card.appendChild(el('div', 'mt-3 flex space-x-2', viewButton, verifyButton));
+
+        return card;
+    }
+
+    function verificationResults(credentialId, credential, isValid) {
+        const color = isValid ? 'green' : 'red';
+
+        return el('div', `bg-${color}-50 border border-${color}-200 rounded-lg p-4`,
+            el('div', 'flex items-center mb-2',
+                icon(`fas fa-${isValid ? 'check-circle' : 'times-circle'} text-${color}-600 mr-2`),
+                el('h4', `font-medium text-${color}-800`, `Verification Result: ${isValid ? 'Valid' : 'Invalid'}`)
+            ),
+            el('div', `text-sm text-${color}-700 space-y-1`,
+                field('Credential ID', credentialId),
+                field('Type', credential.credType.join(', ')),
+                field('Issuer', credential.issuer),
+                field('Subject', credential.subject),
+                field('Status', credential.credentialStatus)
+            )
+        );
+    }
+
+    /**
+     * Holder signature check for a signed QR presentation.
+     * @param nonce The signed nonce, for the verifier to compare with their challenge
+     * @param signer Address recovered from the signature
+     * @param signedBySubject Whether the signer's DID is the credential subject
+     */
+    function holderProof(nonce, signer, signedBySubject) {
+        const color = signedBySubject ? 'green' : 'red';
+
+        return el('div', `bg-${color}-50 border border-${color}-200 rounded-lg p-4 mt-4`,
+            el('div', 'flex items-center mb-2',
+                icon(`fas fa-${signedBySubject ? 'user-check' : 'user-times'} text-${color}-600 mr-2`),
+                el('h4', `font-medium text-${color}-800`,
+                    signedBySubject ? 'Presented by the credential subject' : 'Not signed by the credential subject')
+            ),
+            el('div', `text-sm text-${color}-700 space-y-1 break-all`,
+                field('Nonce', nonce),
+                field('Signed by', signer)
+            )
+        );
+    }
+
+    /**
+     * Resolved DID shown by the verifier's DID lookup.
+     * @param w3cDocument DID Core JSON from DIDDocuments.toW3C
+     * @param active Whether the DID is active in the registry
+     */
+    function didLookupResult(w3cDocument, active) {
+        const color = active ? 'green' : 'red';
+
+        return el('div', 'bg-white border rounded-lg p-4',
+            el('div', 'flex justify-between items-center mb-3',
+                el('h4', 'font-medium text-gray-900 break-all', w3cDocument.id),
+                el('span', `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-${color}-100 text-${color}-800`,
+                    active ? 'Active' : 'Deactivated')
+            ),
+            el('pre', 'text-xs bg-gray-50 rounded p-3 overflow-x-auto', JSON.stringify(w3cDocument, null, 2))
+        );
+    }
+
+    /**
+     * Button for a wallet in the wallet picker. Name and icon come from the wallet's
+     * EIP-6963 announcement; only data: image URIs are shown as icons.
+     */
+    function walletOption(info, onSelect) {
+        const button = el('button', 'w-full flex items-center px-4 py-3 border rounded-lg hover:bg-gray-50 transition');
+        if (typeof info.icon === 'string' && info.icon.startsWith('data:image/')) {
+            const image = el('img', 'h-6 w-6 mr-3');
+            image.src = info.icon;
+            image.alt = '';
+            button.appendChild(image);
+        } else {
+            button.appendChild(icon('fas fa-wallet text-gray-500 mr-3'));
+        }
+        button.appendChild(el('span', 'font-medium text-gray-900', info.name));
+        button.addEventListener('click', onSelect);
+        return button;
+    }
+
+    /**
+     * Rows of the credential details claims table.
+     * @param claims Claim list as returned by the SDK's getAllCredentialClaims
+     */
+    function claimRows(claims) {
+        if (claims.length === 0) {
+            const cell = el('td', 'px-3 py-2 text-gray-500', 'No claims stored on-chain for this credential');
+            cell.colSpan = 2;
+            return [el('tr', '', cell)];
+        }
+
+        return claims.map(({ key, value }) => el('tr', 'border-t',
+            el('td', 'px-3 py-2 font-medium text-gray-700', key),
+            el('td', 'px-3 py-2 text-gray-900 break-all', value)
+        ));
+    }
+
+    // Toast notification; messages often quote revert reasons and other contract strings
+    function message(text, type = 'info') {
+        const style = MESSAGE_STYLES[type] || MESSAGE_STYLES.info;
+        const dismiss = el('button', 'ml-4 text-white hover:text-gray-200', icon('fas fa-times'));
+        const messageDiv = el('div', `${style.color} text-white px-4 py-2 rounded-lg mb-2 flex items-center`,
+            icon(`${style.icon} mr-2`),
+            el('span', '', text),
+            dismiss
+        );
+        dismiss.addEventListener('click', () => messageDiv.remove());
+        return messageDiv;
+    }
+
+    return {
+        el,
+        credentialCard,
+        verificationResults,
+        holderProof,
+        didLookupResult,
+        walletOption,
+        claimRows,
+        message
+    };
+});
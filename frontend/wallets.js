@@ -0,0 +1,97 @@
+// Wallet discovery (EIP-6963) and the local development signer
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('ethers'));
+    } else {
+        root.Wallets = factory(root.ethers);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ethers) {
+    // localStorage key for the generated development key. Unencrypted: never use it on a real network.
+    const LOCAL_KEY_STORAGE_KEY = 'didSystem.localAccountKey';
+
+    // Local account selection meaning "sign with the generated browser key"
+    const GENERATED_ACCOUNT = 'generated';
+
+    // Balance given to a new generated key on a Hardhat node (100 ETH)
+    const GENERATED_ACCOUNT_BALANCE = ethers.toQuantity(ethers.parseEther('100'));
+
+    // Stands in for wallets that only inject window.ethereum and do not announce themselves
+    const INJECTED_WALLET_INFO = { uuid: 'injected', name: 'Browser Wallet', icon: null, rdns: null };
+
+    class WalletDiscovery {
+        /**
+         * @param target The window wallets announce themselves on
+         * @param onChange Called with the wallet list whenever a wallet is announced
+         */
+        constructor({ target, onChange = () => {} }) {
+            this.target = target;
+            this.onChange = onChange;
+            this.announced = new Map();
+        }
+
+        start() {
+            this.target.addEventListener('eip6963:announceProvider', (event) => {
+                const { info, provider } = event.detail;
+                this.announced.set(info.uuid, { info, provider });
+                this.onChange(this.getWallets());
+            });
+            this.target.dispatchEvent(new Event('eip6963:requestProvider'));
+        }
+
+        /**
+         * @returns Array of { info: { uuid, name, icon, rdns }, provider } sorted by name,
+         *          or the legacy injected provider when no wallet announced itself
+         */
+        getWallets() {
+            if (this.announced.size > 0) {
+                return [...this.announced.values()].sort((a, b) => a.info.name.localeCompare(b.info.name));
+            }
+            if (this.target.ethereum) {
+                return [{ info: INJECTED_WALLET_INFO, provider: this.target.ethereum }];
+            }
+            return [];
+        }
+    }
+
+    // Accounts a development node (e.g. `npx hardhat node`) keeps unlocked
+    async function listLocalAccounts(provider) {
+        return provider.send('eth_accounts', []);
+    }
+
+    /**
+     * Create a signer for the local account mode.
+     * @param provider JSON-RPC provider for the development node
+     * @param account An unlocked account address, or GENERATED_ACCOUNT
+     * @param storage Storage holding the generated key (localStorage in the browser)
+     */
+    async function createLocalSigner(provider, account, storage) {
+        if (account !== GENERATED_ACCOUNT) {
+            return provider.getSigner(account);
+        }
+
+        let privateKey = storage.getItem(LOCAL_KEY_STORAGE_KEY);
+        if (!privateKey) {
+            privateKey = ethers.Wallet.createRandom().privateKey;
+            storage.setItem(LOCAL_KEY_STORAGE_KEY, privateKey);
+        }
+
+        const wallet = new ethers.Wallet(privateKey, provider);
+        if (await provider.getBalance(wallet.address) === 0n) {
+            try {
+                await provider.send('hardhat_setBalance', [wallet.address, GENERATED_ACCOUNT_BALANCE]);
+            } catch (error) {
+                // Other nodes cannot mint balances; the key has to be funded by hand
+                console.warn('Could not fund the generated account:', error);
+            }
+        }
+        return wallet;
+    }
+
+    return {
+        LOCAL_KEY_STORAGE_KEY,
+        GENERATED_ACCOUNT,
+        WalletDiscovery,
+        listLocalAccounts,
+        createLocalSigner
+    };
+});
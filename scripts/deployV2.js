@@ -1,5 +1,27 @@
 const hre = require("hardhat");
 const fs = require("fs");
+const path = require("path");
+const { IdentityClient, CredentialClient } = require("../frontend/sdk");
+
+// Deployment manifest the frontend reads to find the proxies for its chain
+const FRONTEND_DEPLOYMENTS_FILE = path.join(__dirname, "..", "frontend", "deployments.json");
+
+function updateFrontendDeployments(chainId, deploymentFile, deploymentInfo) {
+  let deployments = {};
+  if (fs.existsSync(FRONTEND_DEPLOYMENTS_FILE)) {
+    deployments = JSON.parse(fs.readFileSync(FRONTEND_DEPLOYMENTS_FILE, "utf8"));
+  }
+
+  deployments[chainId] = {
+    network: deploymentInfo.network,
+    timestamp: deploymentInfo.timestamp,
+    deploymentFile,
+    deploymentBlock: deploymentInfo.deploymentBlock,
+    contracts: deploymentInfo.contracts
+  };
+
+  fs.writeFileSync(FRONTEND_DEPLOYMENTS_FILE, JSON.stringify(deployments, null, 2));
+}
 
 async function main() {
   console.log("🚀 Starting Advanced DID System Deployment...\n");
@@ -36,6 +58,9 @@ async function main() {
   const identityRegistryAddress = await identityRegistry.getAddress();
   console.log("✅ IdentityRegistry Proxy deployed at:", identityRegistryAddress);
 
+  // The proxies emit no events before this block, so the frontend's log scans start here
+  const deploymentBlock = (await identityRegistry.deploymentTransaction().wait()).blockNumber;
+
   const CredentialRegistryProxy = await hre.ethers.getContractFactory("CredentialRegistryProxy");
   const credentialRegistry = await CredentialRegistryProxy.deploy(
     credentialRegistryImplAddress,
@@ -45,21 +70,30 @@ async function main() {
   const credentialRegistryAddress = await credentialRegistry.getAddress();
   console.log("✅ CredentialRegistry Proxy deployed at:", credentialRegistryAddress);
 
-  // Attach implementation ABIs to proxy contracts
-  const identityRegistryContract = await hre.ethers.getContractAt("IdentityRegistryV2", identityRegistryAddress);
-  const credentialRegistryContract = await hre.ethers.getContractAt("CredentialRegistryV2", credentialRegistryAddress);
+  // Deploy read aggregator used by the frontend to batch credential reads
+  console.log("\n🧮 Deploying Multicall...");
+  
+  const Multicall = await hre.ethers.getContractFactory("Multicall");
+  const multicall = await Multicall.deploy();
+  await multicall.waitForDeployment();
+  const multicallAddress = await multicall.getAddress();
+  console.log("✅ Multicall deployed at:", multicallAddress);
+
+  // SDK clients for the proxies, signing as the deployer
+  const identityRegistryClient = new IdentityClient(identityRegistryAddress, deployer);
+  const credentialRegistryClient = new CredentialClient(credentialRegistryAddress, deployer);
 
   // Initialize contracts
   console.log("\n⚙️ Initializing Contracts...");
   
   // Authorize issuers
-  await credentialRegistryContract.authorizeIssuer(issuer1.address, "did:ethr:issuer1");
-  await credentialRegistryContract.authorizeIssuer(issuer2.address, "did:ethr:issuer2");
+  await credentialRegistryClient.authorizeIssuer(issuer1.address, "did:ethr:issuer1");
+  await credentialRegistryClient.authorizeIssuer(issuer2.address, "did:ethr:issuer2");
   console.log("✅ Authorized issuers:", issuer1.address, issuer2.address);
 
   // Add support for additional credential types
-  await credentialRegistryContract.setCredentialTypeSupport("KYC", true);
-  await credentialRegistryContract.setCredentialTypeSupport("AML", true);
+  await credentialRegistryClient.setCredentialTypeSupport("KYC", true);
+  await credentialRegistryClient.setCredentialTypeSupport("AML", true);
   console.log("✅ Added support for additional credential types");
 
   // Demonstrate the complete flow
@@ -72,69 +106,75 @@ async function main() {
   const user1Context = ["https://www.w3.org/ns/did/v1"];
   const user1VerificationMethod = ["did:ethr:user1#key-1"];
   
-  await identityRegistryContract.connect(user1).createDID(user1DID, user1Context, user1VerificationMethod);
+  await identityRegistryClient.connect(user1).createDID(user1DID, user1Context, user1VerificationMethod);
   console.log("✅ Created DID for user1:", user1DID);
 
   const user2DID = "did:ethr:user2";
   const user2Context = ["https://www.w3.org/ns/did/v1"];
   const user2VerificationMethod = ["did:ethr:user2#key-1"];
   
-  await identityRegistryContract.connect(user2).createDID(user2DID, user2Context, user2VerificationMethod);
+  await identityRegistryClient.connect(user2).createDID(user2DID, user2Context, user2VerificationMethod);
   console.log("✅ Created DID for user2:", user2DID);
 
   // 2. Issue credentials
   console.log("\n2️⃣ Issuing Credentials...");
   
   // Educational credential
-  const eduClaimKeys = ["name", "degree", "university", "graduationYear"];
-  const eduClaimValues = ["Alice Johnson", "Bachelor of Computer Science", "MIT", "2023"];
+  const eduClaims = [
+    { key: "name", value: "Alice Johnson" },
+    { key: "degree", value: "Bachelor of Computer Science" },
+    { key: "university", value: "MIT" },
+    { key: "graduationYear", value: "2023" }
+  ];
   const eduExpiration = Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60; // 1 year
   
-  await credentialRegistryContract.connect(issuer1).issueCredential(
-    user1DID,
-    "EducationalCredential",
-    eduClaimKeys,
-    eduClaimValues,
-    eduExpiration,
-    "https://example.com/education-schema",
-    true
-  );
-  console.log("✅ Issued educational credential to user1");
+  const { credentialId: eduCredentialId } = await credentialRegistryClient.connect(issuer1).issueCredential({
+    subject: user1DID,
+    credentialType: "EducationalCredential",
+    claims: eduClaims,
+    expirationDate: eduExpiration,
+    credentialSchema: "https://example.com/education-schema",
+    selectiveDisclosure: true
+  });
+  console.log("✅ Issued educational credential to user1:", eduCredentialId.toString());
 
   // Professional credential
-  const profClaimKeys = ["name", "profession", "licenseNumber", "issuingAuthority"];
-  const profClaimValues = ["Bob Smith", "Software Engineer", "SE-12345", "State Board"];
+  const profClaims = [
+    { key: "name", value: "Bob Smith" },
+    { key: "profession", value: "Software Engineer" },
+    { key: "licenseNumber", value: "SE-12345" },
+    { key: "issuingAuthority", value: "State Board" }
+  ];
   const profExpiration = Math.floor(Date.now() / 1000) + 730 * 24 * 60 * 60; // 2 years
   
-  await credentialRegistryContract.connect(issuer2).issueCredential(
-    user2DID,
-    "ProfessionalCredential",
-    profClaimKeys,
-    profClaimValues,
-    profExpiration,
-    "https://example.com/professional-schema",
-    true
-  );
-  console.log("✅ Issued professional credential to user2");
+  const { credentialId: profCredentialId } = await credentialRegistryClient.connect(issuer2).issueCredential({
+    subject: user2DID,
+    credentialType: "ProfessionalCredential",
+    claims: profClaims,
+    expirationDate: profExpiration,
+    credentialSchema: "https://example.com/professional-schema",
+    selectiveDisclosure: true
+  });
+  console.log("✅ Issued professional credential to user2:", profCredentialId.toString());
 
   // KYC credential with ZK proof
   const kycZkProof = "zk-proof-kyc-data-here";
   const kycExpiration = Math.floor(Date.now() / 1000) + 180 * 24 * 60 * 60; // 6 months
   
-  await credentialRegistryContract.connect(issuer1).issueCredentialWithZKProof(
-    user1DID,
-    "KYC",
-    kycZkProof,
-    kycExpiration
-  );
-  console.log("✅ Issued KYC credential with ZK proof to user1");
+  const { credentialId: kycCredentialId } = await credentialRegistryClient.connect(issuer1).issueCredentialWithZKProof({
+    subject: user1DID,
+    credentialType: "KYC",
+    zkProof: kycZkProof,
+    expirationDate: kycExpiration
+  });
+  console.log("✅ Issued KYC credential with ZK proof to user1:", kycCredentialId.toString());
 
   // 3. Verify credentials
   console.log("\n3️⃣ Verifying Credentials...");
   
-  const isEduCredValid = await credentialRegistryContract.verifyCredential(0);
-  const isProfCredValid = await credentialRegistryContract.verifyCredential(1);
-  const isKycCredValid = await credentialRegistryContract.verifyCredential(2);
+  const isEduCredValid = await credentialRegistryClient.verifyCredential(eduCredentialId);
+  const isProfCredValid = await credentialRegistryClient.verifyCredential(profCredentialId);
+  const isKycCredValid = await credentialRegistryClient.verifyCredential(kycCredentialId);
   
   console.log("✅ Educational credential valid:", isEduCredValid);
   console.log("✅ Professional credential valid:", isProfCredValid);
@@ -143,46 +183,46 @@ async function main() {
   // 4. Demonstrate credential queries
   console.log("\n4️⃣ Querying Credential Data...");
   
-  const eduCredential = await credentialRegistryContract.getCredential(0);
+  const eduCredential = await credentialRegistryClient.getCredential(eduCredentialId);
   console.log("📋 Educational Credential Details:");
   console.log("   - ID:", eduCredential.id);
-  console.log("   - Type:", eduCredential.type);
+  console.log("   - Type:", eduCredential.credType.join(", "));
   console.log("   - Issuer:", eduCredential.issuer);
   console.log("   - Subject:", eduCredential.subject);
   console.log("   - Status:", eduCredential.credentialStatus);
   console.log("   - Selective Disclosure:", eduCredential.selectiveDisclosure);
 
-  const eduClaims = await credentialRegistryContract.getAllCredentialClaims(0);
+  const storedEduClaims = await credentialRegistryClient.getAllCredentialClaims(eduCredentialId);
   console.log("📋 Educational Credential Claims:");
-  for (let i = 0; i < eduClaims[0].length; i++) {
-    console.log(`   - ${eduClaims[0][i]}: ${eduClaims[1][i]}`);
+  for (const { key, value } of storedEduClaims) {
+    console.log(`   - ${key}: ${value}`);
   }
 
   // 5. Demonstrate DID resolution
   console.log("\n5️⃣ Resolving DIDs...");
   
-  const user1DIDDoc = await identityRegistryContract.resolveDID(user1.address);
+  const user1DIDDoc = await identityRegistryClient.resolveDID(user1.address);
   console.log("📋 User1 DID Document:");
   console.log("   - ID:", user1DIDDoc.id);
   console.log("   - Active:", user1DIDDoc.active);
-  console.log("   - Created:", new Date(Number(user1DIDDoc.created) * 1000).toISOString());
-  console.log("   - Updated:", new Date(Number(user1DIDDoc.updated) * 1000).toISOString());
+  console.log("   - Created:", new Date(user1DIDDoc.created * 1000).toISOString());
+  console.log("   - Updated:", new Date(user1DIDDoc.updated * 1000).toISOString());
 
   // 6. Demonstrate credential management
   console.log("\n6️⃣ Demonstrating Credential Management...");
   
   // Suspend a credential
-  await credentialRegistryContract.connect(issuer1).suspendCredential(0, "Under review");
+  await credentialRegistryClient.connect(issuer1).suspendCredential(eduCredentialId, "Under review");
   console.log("⏸️ Suspended educational credential");
   
-  const isEduCredValidAfterSuspension = await credentialRegistryContract.verifyCredential(0);
+  const isEduCredValidAfterSuspension = await credentialRegistryClient.verifyCredential(eduCredentialId);
   console.log("✅ Educational credential valid after suspension:", isEduCredValidAfterSuspension);
   
   // Reactivate the credential
-  await credentialRegistryContract.connect(issuer1).reactivateCredential(0);
+  await credentialRegistryClient.connect(issuer1).reactivateCredential(eduCredentialId);
   console.log("▶️ Reactivated educational credential");
   
-  const isEduCredValidAfterReactivation = await credentialRegistryContract.verifyCredential(0);
+  const isEduCredValidAfterReactivation = await credentialRegistryClient.verifyCredential(eduCredentialId);
   console.log("✅ Educational credential valid after reactivation:", isEduCredValidAfterReactivation);
 
   // 7. Demonstrate DID updates
@@ -194,29 +234,33 @@ async function main() {
     "did:ethr:user1#key-2"
   ];
   
-  await identityRegistryContract.connect(user1).updateDID(user1DID, updatedContext, updatedVerificationMethod);
+  await identityRegistryClient.connect(user1).updateDID(user1DID, updatedContext, updatedVerificationMethod);
   console.log("✅ Updated user1 DID document");
 
   // 8. Get system statistics
   console.log("\n8️⃣ System Statistics...");
   
-  const totalDIDs = await identityRegistryContract.getTotalDIDs();
-  const totalCredentials = await credentialRegistryContract.getTotalCredentials();
+  const totalDIDs = await identityRegistryClient.getTotalDIDs();
+  const totalCredentials = await credentialRegistryClient.getTotalCredentials();
   
   console.log("📊 System Statistics:");
   console.log("   - Total DIDs:", totalDIDs.toString());
   console.log("   - Total Credentials:", totalCredentials.toString());
 
   // Save deployment information
+  const { chainId } = await hre.ethers.provider.getNetwork();
   const deploymentInfo = {
     network: hre.network.name,
+    chainId: chainId.toString(),
     timestamp: new Date().toISOString(),
     deployer: deployer.address,
+    deploymentBlock,
     contracts: {
       identityRegistryImpl: identityRegistryImplAddress,
       credentialRegistryImpl: credentialRegistryImplAddress,
       identityRegistry: identityRegistryAddress,
-      credentialRegistry: credentialRegistryAddress
+      credentialRegistry: credentialRegistryAddress,
+      multicall: multicallAddress
     },
     issuers: {
       issuer1: {
@@ -240,16 +284,17 @@ async function main() {
     }
   };
 
-  fs.writeFileSync(
-    `deployment-${hre.network.name}-${Date.now()}.json`,
-    JSON.stringify(deploymentInfo, null, 2)
-  );
+  const deploymentFile = `deployment-${hre.network.name}-${Date.now()}.json`;
+  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
+  updateFrontendDeployments(deploymentInfo.chainId, deploymentFile, deploymentInfo);
 
   console.log("\n🎉 Deployment completed successfully!");
-  console.log("📄 Deployment info saved to deployment file");
+  console.log("📄 Deployment info saved to", deploymentFile);
+  console.log("📄 Frontend deployments updated for chain", deploymentInfo.chainId);
   console.log("\n🔗 Contract Addresses:");
   console.log("   - IdentityRegistry:", identityRegistryAddress);
   console.log("   - CredentialRegistry:", credentialRegistryAddress);
+  console.log("   - Multicall:", multicallAddress);
 }
 
 main()
@@ -0,0 +1,41 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Contracts the SDK and frontend talk to (the registries through their proxies)
+const FRONTEND_CONTRACTS = ["IdentityRegistryV2", "CredentialRegistryV2", "Multicall"];
+const SDK_ABI_FILE = path.join(__dirname, "..", "frontend", "sdk", "abis.js");
+
+async function main() {
+  console.log("📦 Exporting contract ABIs for the SDK...\n");
+
+  const abis = {};
+  for (const contractName of FRONTEND_CONTRACTS) {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    abis[contractName] = artifact.abi;
+    console.log(`✅ ${contractName}: ${artifact.abi.length} ABI entries`);
+  }
+
+  const source = `// Generated by scripts/exportAbi.js from the Hardhat artifacts. Do not edit by hand;
+// run \`npm run export:abi\` after changing the contracts.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ContractABIs = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    return ${JSON.stringify(abis, null, 4).replace(/\n/g, "\n    ")};
+});
+`;
+
+  fs.writeFileSync(SDK_ABI_FILE, source);
+  console.log("\n📄 ABIs written to", path.relative(process.cwd(), SDK_ABI_FILE));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ ABI export failed:", error);
+    process.exit(1);
+  });
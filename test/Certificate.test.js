@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { JSDOM } = require("jsdom");
+const qrcode = require("qrcode-generator");
+
+const Certificates = require("../frontend/certificate.js");
+
+const HOSTILE = '<img src=x onerror="window.pwned = true"><script>window.pwned = true</script>';
+const REGISTRY = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const VERIFY_URL = `https://verifier.example/#/verify/1337/${REGISTRY}/7`;
+
+function credential(overrides = {}) {
+  return {
+    id: "urn:credential:7",
+    credType: ["VerifiableCredential", "EducationalCredential"],
+    issuer: "did:ethr:0xuniversity",
+    subject: "did:ethr:0xgraduate",
+    issuanceDate: 1700000000,
+    expirationDate: 0,
+    credentialStatus: "active",
+    ...overrides
+  };
+}
+
+function renderCertificate(overrides = {}, claims = [{ key: "name", value: "Ada Lovelace" }, { key: "degree", value: "BSc Mathematics" }]) {
+  return Certificates.render({
+    credentialId: 7n,
+    credential: credential(overrides),
+    claims,
+    verifyUrl: VERIFY_URL,
+    registryAddress: REGISTRY,
+    chainId: 1337,
+    networkName: "localhost"
+  });
+}
+
+describe("Certificates", function () {
+  let dom;
+
+  before(function () {
+    dom = new JSDOM("<!DOCTYPE html><body></body>", { runScripts: "dangerously" });
+    global.document = dom.window.document;
+  });
+
+  after(function () {
+    delete global.document;
+    dom.window.close();
+  });
+
+  it("Should choose the template for the most specific credential type", function () {
+    expect(Certificates.templateFor(["VerifiableCredential", "EducationalCredential"])).to.equal(Certificates.TEMPLATES.EducationalCredential);
+    expect(Certificates.templateFor(["VerifiableCredential", "ProfessionalCredential"])).to.equal(Certificates.TEMPLATES.ProfessionalCredential);
+    expect(Certificates.templateFor(["VerifiableCredential", "MembershipCredential"])).to.equal(Certificates.DEFAULT_TEMPLATE);
+  });
+
+  it("Should show the holder, award, registry and chain ID", function () {
+    const text = renderCertificate().textContent;
+
+    expect(text).to.include(Certificates.TEMPLATES.EducationalCredential.title);
+    expect(text).to.include("Ada Lovelace");
+    expect(text).to.include("BSc Mathematics");
+    expect(text).to.include("did:ethr:0xuniversity");
+    expect(text).to.include(VERIFY_URL);
+    expect(text).to.include(REGISTRY);
+    expect(text).to.include("1337 (localhost)");
+  });
+
+  it("Should fall back to the subject DID without a name claim", function () {
+    const certificate = renderCertificate({ credType: ["VerifiableCredential", "ProfessionalCredential"] }, [{ key: "license", value: "RN-1234" }]);
+
+    expect(certificate.querySelector("h1").textContent).to.equal(Certificates.TEMPLATES.ProfessionalCredential.title);
+    expect(certificate.textContent).to.include("did:ethr:0xgraduate");
+    expect(certificate.textContent).to.include("RN-1234");
+  });
+
+  it("Should mark credentials that are no longer active", function () {
+    expect(renderCertificate().textContent).to.not.include("active credential");
+    expect(renderCertificate({ credentialStatus: "revoked" }).textContent).to.include("revoked credential");
+    expect(renderCertificate({ credentialStatus: "suspended" }).textContent).to.include("suspended credential");
+  });
+
+  it("Should encode the verification link in the QR code", function () {
+    const svg = renderCertificate().querySelector("svg");
+    const qr = qrcode(0, "M");
+    qr.addData(VERIFY_URL);
+    qr.make();
+
+    let darkModules = 0;
+    for (let row = 0; row < qr.getModuleCount(); row++) {
+      for (let column = 0; column < qr.getModuleCount(); column++) {
+        if (qr.isDark(row, column)) darkModules++;
+      }
+    }
+
+    expect(svg.getAttribute("aria-label")).to.equal(`QR code: ${VERIFY_URL}`);
+    expect(svg.querySelector("path").getAttribute("d").match(/M/g)).to.have.length(darkModules);
+  });
+
+  it("Should render hostile claims as text", function () {
+    const certificate = renderCertificate({ issuer: HOSTILE }, [{ key: "name", value: HOSTILE }, { key: HOSTILE, value: HOSTILE }]);
+    document.body.replaceChildren(certificate);
+
+    expect(certificate.querySelector("img, script")).to.be.null;
+    expect(certificate.textContent).to.include(HOSTILE);
+    expect(dom.window.pwned).to.be.undefined;
+  });
+});
@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+
+const CredentialFilters = require("../frontend/credentialFilters.js");
+
+const NOW = 1700000000;
+const DAY = 86400;
+
+function entry(id, overrides = {}, claims = []) {
+  return {
+    id: BigInt(id),
+    isValid: true,
+    claims,
+    credential: {
+      id: `urn:credential:${id}`,
+      credType: ["VerifiableCredential", "UniversityDegree"],
+      issuer: "did:ethr:0xissuer",
+      subject: "did:ethr:0xholder",
+      issuanceDate: BigInt(NOW - 10 * DAY),
+      expirationDate: 0n,
+      credentialStatus: "active",
+      ...overrides
+    }
+  };
+}
+
+const ids = (entries) => entries.map(({ id }) => Number(id));
+
+describe("CredentialFilters", function () {
+  const entries = [
+    entry(1, {}, [{ key: "degree", value: "Bachelor of Science" }, { key: "university", value: "MIT" }]),
+    entry(2, { credType: ["VerifiableCredential", "DriverLicense"], issuanceDate: BigInt(NOW - 2 * DAY), expirationDate: BigInt(NOW + 30 * DAY) }),
+    entry(3, { issuer: "did:ethr:0xother", credentialStatus: "revoked", issuanceDate: BigInt(NOW - 5 * DAY) }),
+    entry(4, { issuanceDate: BigInt(NOW - 20 * DAY), expirationDate: BigInt(NOW - DAY) }),
+    entry(5, { credentialStatus: "suspended", issuanceDate: BigInt(NOW - DAY), expirationDate: BigInt(NOW + 5 * DAY) })
+  ];
+
+  it("Should report lapsed active credentials as expired", function () {
+    expect(CredentialFilters.statusOf(entries[0], NOW)).to.equal("active");
+    expect(CredentialFilters.statusOf(entries[2], NOW)).to.equal("revoked");
+    expect(CredentialFilters.statusOf(entries[3], NOW)).to.equal("expired");
+    expect(CredentialFilters.statusOf(entries[4], NOW)).to.equal("suspended");
+  });
+
+  it("Should filter by type, issuer and status", function () {
+    expect(ids(CredentialFilters.apply(entries, { type: "DriverLicense" }, NOW))).to.deep.equal([2]);
+    expect(ids(CredentialFilters.apply(entries, { issuer: "did:ethr:0xother" }, NOW))).to.deep.equal([3]);
+    expect(ids(CredentialFilters.apply(entries, { status: "expired" }, NOW))).to.deep.equal([4]);
+    expect(ids(CredentialFilters.apply(entries, { status: "active" }, NOW))).to.deep.equal([2, 1]);
+  });
+
+  it("Should filter by issuance date range", function () {
+    const filtered = CredentialFilters.apply(entries, { from: NOW - 6 * DAY, to: NOW - 2 * DAY }, NOW);
+
+    expect(ids(filtered)).to.deep.equal([2, 3]);
+  });
+
+  it("Should search claim values case-insensitively", function () {
+    expect(ids(CredentialFilters.apply(entries, { search: "bachelor" }, NOW))).to.deep.equal([1]);
+    expect(ids(CredentialFilters.apply(entries, { search: "  mit " }, NOW))).to.deep.equal([1]);
+    expect(CredentialFilters.apply(entries, { search: "nothing like this" }, NOW)).to.be.empty;
+  });
+
+  it("Should sort by issuance and expiration date", function () {
+    expect(ids(CredentialFilters.apply(entries, {}, NOW))).to.deep.equal([5, 2, 3, 1, 4]);
+    expect(ids(CredentialFilters.apply(entries, { sort: "issued-asc" }, NOW))).to.deep.equal([4, 1, 3, 2, 5]);
+    // Credentials that never expire come last
+    expect(ids(CredentialFilters.apply(entries, { sort: "expires-asc" }, NOW)).slice(0, 3)).to.deep.equal([4, 5, 2]);
+    expect(ids(CredentialFilters.apply(entries, { sort: "expires-desc" }, NOW)).slice(-3)).to.deep.equal([2, 5, 4]);
+  });
+
+  it("Should list distinct types and issuers for the dropdowns", function () {
+    expect(CredentialFilters.options(entries)).to.deep.equal({
+      types: ["DriverLicense", "UniversityDegree", "VerifiableCredential"],
+      issuers: ["did:ethr:0xissuer", "did:ethr:0xother"]
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const DIDDocuments = require("../frontend/sdk/didDocument.js");
+
+describe("DIDDocuments", function () {
+  async function deployRegistryFixture() {
+    const [owner, user1] = await ethers.getSigners();
+
+    const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+    const identityRegistry = await IdentityRegistryV2.deploy();
+    await identityRegistry.waitForDeployment();
+    await identityRegistry.initialize();
+
+    await identityRegistry.connect(user1).createDID(
+      "did:ethr:user1",
+      ["https://www.w3.org/ns/did/v1", "https://w3id.org/security/suites/secp256k1recovery-2020/v2"],
+      ["did:ethr:user1#key-1"]
+    );
+
+    return { identityRegistry, owner, user1 };
+  }
+
+  describe("W3C conversion", function () {
+    it("Should describe bare verification methods as the controller account", async function () {
+      const { identityRegistry, user1 } = await loadFixture(deployRegistryFixture);
+
+      const document = DIDDocuments.toW3C(await identityRegistry.resolveDID(user1.address), {
+        chainId: 1337,
+        account: user1.address
+      });
+
+      expect(document).to.deep.equal({
+        "@context": ["https://www.w3.org/ns/did/v1", "https://w3id.org/security/suites/secp256k1recovery-2020/v2"],
+        id: "did:ethr:user1",
+        verificationMethod: [{
+          id: "did:ethr:user1#key-1",
+          type: "EcdsaSecp256k1RecoveryMethod2020",
+          controller: "did:ethr:user1",
+          blockchainAccountId: `eip155:1337:${user1.address}`
+        }]
+      });
+    });
+
+    it("Should keep entries added after creation", async function () {
+      const { identityRegistry, user1 } = await loadFixture(deployRegistryFixture);
+
+      const jsonMethod = JSON.stringify({ id: "#key-2", type: "JsonWebKey2020", publicKeyJwk: { kty: "EC", crv: "secp256k1" } });
+      await identityRegistry.connect(user1).addVerificationMethod("did:ethr:user1", jsonMethod);
+      await identityRegistry.connect(user1).addServiceEndpoint("did:ethr:user1", "https://issuer.example.com");
+      await identityRegistry.connect(user1).addServiceEndpoint(
+        "did:ethr:user1",
+        JSON.stringify({ id: "#messaging", type: "DIDCommMessaging", serviceEndpoint: "https://example.com/didcomm" })
+      );
+
+      const document = DIDDocuments.toW3C(await identityRegistry.resolveDID(user1.address));
+
+      expect(document.verificationMethod.map((method) => method.id)).to.deep.equal([
+        "did:ethr:user1#key-1",
+        "did:ethr:user1#key-2"
+      ]);
+      expect(document.verificationMethod[1]).to.include({ type: "JsonWebKey2020", controller: "did:ethr:user1" });
+      expect(document.service).to.deep.equal([
+        { id: "did:ethr:user1#service-1", type: "LinkedDomains", serviceEndpoint: "https://issuer.example.com" },
+        { id: "did:ethr:user1#messaging", type: "DIDCommMessaging", serviceEndpoint: "https://example.com/didcomm" }
+      ]);
+    });
+
+    it("Should resolve relationship references against the DID", async function () {
+      const document = DIDDocuments.toW3C({
+        id: "did:ethr:user1",
+        context: [],
+        verificationMethod: [],
+        authentication: ["#key-1"],
+        assertionMethod: ["did:ethr:other#key-1"],
+        keyAgreement: [],
+        capabilityInvocation: [],
+        capabilityDelegation: [],
+        service: []
+      });
+
+      expect(document["@context"]).to.deep.equal([DIDDocuments.DID_CORE_CONTEXT]);
+      expect(document.authentication).to.deep.equal(["did:ethr:user1#key-1"]);
+      expect(document.assertionMethod).to.deep.equal(["did:ethr:other#key-1"]);
+      expect(document).to.not.have.property("keyAgreement");
+    });
+  });
+
+  describe("Entry validation", function () {
+    it("Should accept DID URLs and typed JSON as verification methods", function () {
+      expect(DIDDocuments.isVerificationMethodEntry("did:ethr:user1#key-2")).to.be.true;
+      expect(DIDDocuments.isVerificationMethodEntry("#key-2")).to.be.true;
+      expect(DIDDocuments.isVerificationMethodEntry('{"id":"#key-2","type":"JsonWebKey2020"}')).to.be.true;
+      expect(DIDDocuments.isVerificationMethodEntry("key-2")).to.be.false;
+      expect(DIDDocuments.isVerificationMethodEntry('{"id":"#key-2"}')).to.be.false;
+    });
+
+    it("Should accept URLs and JSON with a serviceEndpoint as services", function () {
+      expect(DIDDocuments.isServiceEntry("https://issuer.example.com")).to.be.true;
+      expect(DIDDocuments.isServiceEntry("mailto:issuer@example.com")).to.be.true;
+      expect(DIDDocuments.isServiceEntry('{"type":"LinkedDomains","serviceEndpoint":"https://example.com"}')).to.be.true;
+      expect(DIDDocuments.isServiceEntry("issuer.example.com")).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const ContractABIs = require("../frontend/sdk/abis.js");
+
+const APP_SOURCE = fs.readFileSync(path.join(__dirname, "..", "frontend", "app.js"), "utf8");
+
+// Frontend modules that render or filter getCredential results
+const CREDENTIAL_VIEW_SOURCES = ["views.js", "credentialFilters.js", "certificate.js", "offlineCache.js"]
+  .map((file) => fs.readFileSync(path.join(__dirname, "..", "frontend", file), "utf8"))
+  .join("\n");
+
+// ethers Contract members that are not part of the contract ABI
+const ETHERS_CONTRACT_MEMBERS = new Set([
+  "queryFilter",
+  "on",
+  "once",
+  "off",
+  "removeAllListeners",
+  "connect",
+  "attach",
+  "deployed"
+]);
+
+// SDK registry client members that are not contract functions
+const CLIENT_MEMBERS = new Set(["queryEvents"]);
+
+function matchAll(source, pattern) {
+  return [...new Set([...source.matchAll(pattern)].map((match) => match[1]))];
+}
+
+function abiNames(abi, type) {
+  return abi.filter((entry) => entry.type === type).map((entry) => entry.name);
+}
+
+function outputNames(abi, functionName) {
+  const fragment = abi.find((entry) => entry.type === "function" && entry.name === functionName);
+  const outputs = fragment.outputs.length === 1 && fragment.outputs[0].components
+    ? fragment.outputs[0].components
+    : fragment.outputs;
+  return outputs.map((output) => output.name);
+}
+
+describe("Frontend contract bindings", function () {
+  let identityAbi;
+  let credentialAbi;
+
+  before(async function () {
+    identityAbi = (await artifacts.readArtifact("IdentityRegistryV2")).abi;
+    credentialAbi = (await artifacts.readArtifact("CredentialRegistryV2")).abi;
+  });
+
+  describe("Generated ABI module", function () {
+    it("Should match the compiled IdentityRegistryV2 artifact", async function () {
+      expect(ContractABIs.IdentityRegistryV2).to.deep.equal(identityAbi);
+    });
+
+    it("Should match the compiled CredentialRegistryV2 artifact", async function () {
+      expect(ContractABIs.CredentialRegistryV2).to.deep.equal(credentialAbi);
+    });
+
+    it("Should match the compiled Multicall artifact", async function () {
+      const multicallAbi = (await artifacts.readArtifact("Multicall")).abi;
+      expect(ContractABIs.Multicall).to.deep.equal(multicallAbi);
+    });
+  });
+
+  describe("app.js calls", function () {
+    it("Should only call functions that exist on IdentityRegistryV2", async function () {
+      const calls = [
+        ...matchAll(APP_SOURCE, /identityRegistry\.(\w+)\(/g)
+      ].filter((name) => !ETHERS_CONTRACT_MEMBERS.has(name) && !CLIENT_MEMBERS.has(name));
+
+      expect(calls).to.not.be.empty;
+      expect(abiNames(identityAbi, "function")).to.include.members(calls);
+    });
+
+    it("Should only call functions that exist on CredentialRegistryV2", async function () {
+      const calls = [
+        ...matchAll(APP_SOURCE, /credentialRegistry\.(\w+)\(/g),
+        ...matchAll(APP_SOURCE, /contract: (?:this\.credentialRegistry\.contract|registry), method: '(\w+)'/g),
+        ...matchAll(APP_SOURCE, /method: '(\w+)', appliesTo:/g)
+      ].filter((name) => !ETHERS_CONTRACT_MEMBERS.has(name) && !CLIENT_MEMBERS.has(name));
+
+      expect(calls).to.not.be.empty;
+      expect(abiNames(credentialAbi, "function")).to.include.members(calls);
+    });
+
+    it("Should only filter on events the registries emit", async function () {
+      const events = matchAll(APP_SOURCE, /filters\.(\w+)\(/g);
+      const emitted = [...abiNames(identityAbi, "event"), ...abiNames(credentialAbi, "event")];
+
+      expect(emitted).to.include.members(events);
+    });
+
+    it("Should only read getCredential fields the contract returns", async function () {
+      const fields = matchAll(APP_SOURCE + CREDENTIAL_VIEW_SOURCES, /\bcredential\.(\w+)/g);
+
+      expect(outputNames(credentialAbi, "getCredential")).to.include.members(fields);
+    });
+
+    it("Should only read DID document fields the contract returns", async function () {
+      const fields = matchAll(APP_SOURCE, /\bdidDoc\.(\w+)/g);
+
+      expect(outputNames(identityAbi, "resolveDID")).to.include.members(fields);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const MulticallBatcher = require("../frontend/multicall.js");
+
+describe("Multicall", function () {
+  async function deployMulticallFixture() {
+    const [owner, issuer1, subject1] = await ethers.getSigners();
+
+    const Multicall = await ethers.getContractFactory("Multicall");
+    const multicall = await Multicall.deploy();
+    await multicall.waitForDeployment();
+
+    const CredentialRegistryV2 = await ethers.getContractFactory("CredentialRegistryV2");
+    const credentialRegistry = await CredentialRegistryV2.deploy();
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.initialize();
+    await credentialRegistry.authorizeIssuer(issuer1.address, "did:ethr:issuer1");
+
+    const subjectDID = "did:ethr:subject1";
+    for (let i = 0; i < 3; i++) {
+      await credentialRegistry.connect(issuer1).issueCredential(
+        subjectDID,
+        "EducationalCredential",
+        ["course"],
+        [`Course ${i}`],
+        0,
+        "https://example.com/course-schema",
+        false
+      );
+    }
+    await credentialRegistry.connect(issuer1).revokeCredential(1, "Issued in error");
+
+    return { multicall, credentialRegistry, owner, issuer1, subject1, subjectDID };
+  }
+
+  describe("aggregate3", function () {
+    it("Should return the result of every call in order", async function () {
+      const { multicall, credentialRegistry } = await loadFixture(deployMulticallFixture);
+      const target = await credentialRegistry.getAddress();
+
+      const results = await multicall.aggregate3([0, 1, 2].map((id) => ({
+        target,
+        allowFailure: false,
+        callData: credentialRegistry.interface.encodeFunctionData("verifyCredential", [id])
+      })));
+
+      const validity = results.map(({ returnData }) =>
+        credentialRegistry.interface.decodeFunctionResult("verifyCredential", returnData)[0]
+      );
+      expect(validity).to.deep.equal([true, false, true]);
+    });
+
+    it("Should report failed calls when failure is allowed", async function () {
+      const { multicall, credentialRegistry } = await loadFixture(deployMulticallFixture);
+
+      const [result] = await multicall.aggregate3([{
+        target: await credentialRegistry.getAddress(),
+        allowFailure: true,
+        callData: credentialRegistry.interface.encodeFunctionData("getCredential", [99])
+      }]);
+
+      expect(result.success).to.be.false;
+    });
+
+    it("Should revert when a required call fails", async function () {
+      const { multicall, credentialRegistry } = await loadFixture(deployMulticallFixture);
+
+      await expect(multicall.aggregate3([{
+        target: await credentialRegistry.getAddress(),
+        allowFailure: false,
+        callData: credentialRegistry.interface.encodeFunctionData("getCredential", [99])
+      }])).to.be.revertedWith("Multicall: call failed");
+    });
+
+    it("Should expose block and chain information", async function () {
+      const { multicall } = await loadFixture(deployMulticallFixture);
+
+      expect(await multicall.getChainId()).to.equal(1337);
+      expect(await multicall.getBlockNumber()).to.equal(await ethers.provider.getBlockNumber());
+    });
+  });
+
+  describe("Frontend batcher", function () {
+    it("Should load a holder's credentials in one batch", async function () {
+      const { multicall, credentialRegistry, subjectDID } = await loadFixture(deployMulticallFixture);
+      const batcher = new MulticallBatcher(multicall);
+
+      const ids = await credentialRegistry.getSubjectCredentials(subjectDID);
+      const results = await batcher.call(ids.flatMap((id) => [
+        { contract: credentialRegistry, method: "getCredential", args: [id] },
+        { contract: credentialRegistry, method: "verifyCredential", args: [id] }
+      ]));
+
+      expect(results).to.have.lengthOf(6);
+      expect(results.every(({ success }) => success)).to.be.true;
+      expect(results[0].value.credType).to.deep.equal(["VerifiableCredential", "EducationalCredential"]);
+      expect(results[2].value.credentialStatus).to.equal("revoked");
+      expect(results.filter((_, i) => i % 2 === 1).map(({ value }) => value)).to.deep.equal([true, false, true]);
+    });
+
+    it("Should load a 50-credential holder's dashboard in two eth_calls", async function () {
+      const { multicall, credentialRegistry, issuer1, subjectDID } = await loadFixture(deployMulticallFixture);
+      for (let i = 3; i < 50; i++) {
+        await credentialRegistry.connect(issuer1).issueCredential(subjectDID, "EducationalCredential", ["course"], [`Course ${i}`], 0, "", false);
+      }
+      const batcher = new MulticallBatcher(multicall);
+
+      const send = network.provider.send.bind(network.provider);
+      let ethCalls = 0;
+      network.provider.send = (method, params) => {
+        if (method === "eth_call") ethCalls++;
+        return send(method, params);
+      };
+      let results;
+      try {
+        const ids = await credentialRegistry.getSubjectCredentials(subjectDID);
+        results = await batcher.call(ids.flatMap((id) => [
+          { contract: credentialRegistry, method: "getCredential", args: [id] },
+          { contract: credentialRegistry, method: "verifyCredential", args: [id] },
+          { contract: credentialRegistry, method: "getAllCredentialClaims", args: [id] }
+        ]));
+      } finally {
+        network.provider.send = send;
+      }
+
+      expect(results).to.have.lengthOf(150);
+      expect(results.every(({ success }) => success)).to.be.true;
+      expect(ethCalls).to.equal(2);
+    });
+
+    it("Should decode revert reasons of failed calls", async function () {
+      const { multicall, credentialRegistry } = await loadFixture(deployMulticallFixture);
+      const batcher = new MulticallBatcher(multicall);
+
+      const [result] = await batcher.call([
+        { contract: credentialRegistry, method: "getCredential", args: [99] }
+      ]);
+
+      expect(result.success).to.be.false;
+      expect(result.error.message).to.equal("Invalid credential ID");
+    });
+
+    it("Should fall back to direct calls without a Multicall deployment", async function () {
+      const { credentialRegistry } = await loadFixture(deployMulticallFixture);
+      const batcher = new MulticallBatcher(null);
+
+      const results = await batcher.call([
+        { contract: credentialRegistry, method: "verifyCredential", args: [0] },
+        { contract: credentialRegistry, method: "getCredential", args: [99] }
+      ]);
+
+      expect(results[0]).to.include({ success: true, value: true });
+      expect(results[1].success).to.be.false;
+    });
+  });
+});
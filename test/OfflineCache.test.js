@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { IDBFactory } = require("fake-indexeddb");
+
+const OfflineCache = require("../frontend/offlineCache.js");
+const { IdentityClient, CredentialClient } = require("../frontend/sdk/index.js");
+
+const NOW = 1700000000;
+
+function entry(id, credentialStatus, expirationDate = 0n) {
+  return { id: BigInt(id), isValid: credentialStatus === "active", claims: [], credential: { credentialStatus, expirationDate } };
+}
+
+describe("OfflineCache", function () {
+  async function deployHolderFixture() {
+    const [owner, issuer, holder] = await ethers.getSigners();
+
+    const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+    const identityRegistry = await IdentityRegistryV2.deploy();
+    await identityRegistry.waitForDeployment();
+    await identityRegistry.initialize();
+
+    const CredentialRegistryV2 = await ethers.getContractFactory("CredentialRegistryV2");
+    const credentialRegistry = await CredentialRegistryV2.deploy();
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.initialize();
+
+    await identityRegistry.connect(holder).createDID("did:ethr:holder", ["https://www.w3.org/ns/did/v1"], ["did:ethr:holder#key-1"]);
+    await credentialRegistry.authorizeIssuer(issuer.address, "did:ethr:issuer");
+    await credentialRegistry.connect(issuer).issueCredential(
+      "did:ethr:holder",
+      "EducationalCredential",
+      ["degree"],
+      ["BSc Mathematics"],
+      0,
+      "https://example.com/schema",
+      false
+    );
+
+    const scope = {
+      chainId: 1337,
+      identityRegistry: await identityRegistry.getAddress(),
+      credentialRegistry: await credentialRegistry.getAddress(),
+      holder: holder.address
+    };
+    const identity = new IdentityClient(scope.identityRegistry, holder);
+    const credentials = new CredentialClient(scope.credentialRegistry, holder);
+
+    return {
+      holder,
+      scope,
+      didDocument: await identity.resolveDID(holder.address),
+      credentials: [{
+        id: 0n,
+        isValid: await credentials.verifyCredential(0),
+        credential: await credentials.getCredential(0),
+        claims: await credentials.getAllCredentialClaims(0)
+      }]
+    };
+  }
+
+  it("Should restore cached DID documents and credentials", async function () {
+    const { scope, didDocument, credentials } = await loadFixture(deployHolderFixture);
+    const cache = new OfflineCache.CredentialCache(new IDBFactory());
+
+    await cache.save(scope, { didDocument, credentials });
+    const cached = await cache.load(scope);
+
+    expect(cached.didDocument.id).to.equal("did:ethr:holder");
+    expect(cached.didDocument.verificationMethod).to.deep.equal(["did:ethr:holder#key-1"]);
+    expect(cached.didDocument.created).to.equal(didDocument.created);
+    expect(cached.credentials).to.have.length(1);
+    expect(cached.credentials[0].id).to.equal(0n);
+    expect(cached.credentials[0].credential.credType).to.deep.equal(["VerifiableCredential", "EducationalCredential"]);
+    expect(cached.credentials[0].credential.issuer).to.equal("did:ethr:issuer");
+    expect(cached.credentials[0].credential.issuanceDate).to.equal(credentials[0].credential.issuanceDate);
+    expect(cached.credentials[0].claims).to.deep.equal([{ key: "degree", value: "BSc Mathematics" }]);
+    expect(cached.credentials[0].seenStatus).to.equal("active");
+    expect(cached.savedAt).to.be.a("number");
+  });
+
+  it("Should keep holders, registries and chains apart", async function () {
+    const { scope, didDocument, credentials } = await loadFixture(deployHolderFixture);
+    const cache = new OfflineCache.CredentialCache(new IDBFactory());
+
+    await cache.save(scope, { didDocument, credentials });
+
+    expect(await cache.load({
+      ...scope,
+      identityRegistry: scope.identityRegistry.toLowerCase(),
+      credentialRegistry: scope.credentialRegistry.toLowerCase(),
+      holder: scope.holder.toLowerCase()
+    })).to.not.be.null;
+    expect(await cache.load({ ...scope, chainId: 11155111 })).to.be.null;
+    expect(await cache.load({ ...scope, identityRegistry: ethers.ZeroAddress })).to.be.null;
+    expect(await cache.load({ ...scope, credentialRegistry: ethers.ZeroAddress })).to.be.null;
+    expect(await cache.load({ ...scope, holder: ethers.ZeroAddress })).to.be.null;
+  });
+
+  it("Should drop records cached by an earlier version", async function () {
+    const indexedDB = new IDBFactory();
+    const scope = { chainId: 1337, identityRegistry: ethers.ZeroAddress, credentialRegistry: ethers.ZeroAddress, holder: ethers.ZeroAddress };
+    const database = await new Promise((resolve) => {
+      const request = indexedDB.open("didSystem", 1);
+      request.onupgradeneeded = () => request.result.createObjectStore("holders", { keyPath: "key" });
+      request.onsuccess = () => resolve(request.result);
+    });
+    const transaction = database.transaction("holders", "readwrite");
+    transaction.objectStore("holders")
+      .put({ key: `1337:${ethers.ZeroAddress}:${ethers.ZeroAddress}:${ethers.ZeroAddress}`.toLowerCase(), didDocument: null, credentials: [], savedAt: 0 });
+    await new Promise((resolve) => { transaction.oncomplete = resolve; });
+    database.close();
+
+    expect(await new OfflineCache.CredentialCache(indexedDB).load(scope)).to.be.null;
+  });
+
+  it("Should mark credentials whose status changed since they were last seen", function () {
+    const previous = [entry(0, "active"), entry(1, "active"), entry(2, "suspended"), entry(3, "active", BigInt(NOW + 100))];
+    const current = [entry(0, "active"), entry(1, "revoked"), entry(2, "active"), entry(3, "active", BigInt(NOW + 100)), entry(4, "active")];
+
+    const reconciled = OfflineCache.reconcile(previous, current, NOW);
+
+    expect(reconciled.map((item) => item.statusChange || null)).to.deep.equal([
+      null,
+      { from: "active", to: "revoked" },
+      { from: "suspended", to: "active" },
+      null,
+      null
+    ]);
+  });
+
+  it("Should mark credentials that expired since they were cached", function () {
+    const seen = [{ ...entry(0, "active", BigInt(NOW + 100)), seenStatus: "active" }];
+
+    const reconciled = OfflineCache.reconcile(seen, [entry(0, "active", BigInt(NOW + 100))], NOW + 200);
+
+    expect(reconciled[0].statusChange).to.deep.equal({ from: "active", to: "expired" });
+  });
+});
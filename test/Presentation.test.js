@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const Presentations = require("../frontend/presentation.js");
+
+const REGISTRY = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+describe("Presentations", function () {
+  const presentation = { chainId: 1337, registry: REGISTRY, credentialId: "12" };
+
+  it("Should round-trip an unsigned presentation", function () {
+    const payload = Presentations.encode({ ...presentation, registry: REGISTRY.toLowerCase() });
+
+    expect(payload).to.equal(`vcp1:1337:${REGISTRY}:12`);
+    expect(Presentations.decode(payload)).to.deep.equal({ ...presentation, nonce: null, signature: null });
+  });
+
+  it("Should round-trip a signed presentation with a verifier's nonce", async function () {
+    const [holder] = await ethers.getSigners();
+    const nonce = "challenge:2024-01-01T00:00:00Z/verifier";
+
+    const signed = await Presentations.sign(holder, presentation, nonce);
+    const decoded = Presentations.decode(Presentations.encode(signed));
+
+    expect(decoded).to.deep.equal(signed);
+    expect(Presentations.recoverSigner(decoded)).to.equal(holder.address);
+  });
+
+  it("Should sign a random nonce by default", async function () {
+    const [holder] = await ethers.getSigners();
+
+    const first = await Presentations.sign(holder, presentation);
+    const second = await Presentations.sign(holder, presentation);
+
+    expect(first.nonce).to.match(/^0x[0-9a-f]{32}$/);
+    expect(first.nonce).to.not.equal(second.nonce);
+  });
+
+  it("Should not attribute a presentation for another credential to the holder", async function () {
+    const [holder] = await ethers.getSigners();
+    const signed = await Presentations.sign(holder, presentation, "nonce");
+
+    const tampered = Presentations.decode(Presentations.encode({ ...signed, credentialId: "13" }));
+
+    expect(Presentations.recoverSigner(tampered)).to.not.equal(holder.address);
+  });
+
+  it("Should reject text that is not a presentation payload", function () {
+    [
+      "12",
+      `vcp2:1337:${REGISTRY}:12`,
+      `vcp1:1337:0x1234:12`,
+      `vcp1:mainnet:${REGISTRY}:12`,
+      `vcp1:1337:${REGISTRY}:twelve`,
+      `vcp1:1337:${REGISTRY}:12:nonce`,
+      `vcp1:1337:${REGISTRY}:12:nonce:0xdeadbeef`,
+      `vcp1:1337:${REGISTRY}:12:%E0%A4%A:0x${"ab".repeat(65)}`
+    ].forEach((text) => {
+      expect(() => Presentations.decode(text), text).to.throw("Not a credential presentation payload");
+    });
+  });
+});
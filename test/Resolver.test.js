@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { Resolver } = require("did-resolver");
+
+const { IdentityClient } = require("../frontend/sdk");
+const DIDSystemResolver = require("../frontend/sdk/resolver.js");
+
+describe("DIDSystemResolver", function () {
+  async function deployRegistryFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+    const identityRegistry = await IdentityRegistryV2.deploy();
+    await identityRegistry.waitForDeployment();
+    await identityRegistry.initialize();
+
+    const identity = new IdentityClient(await identityRegistry.getAddress(), owner);
+    await identity.connect(user1).createDID("did:ethr:user1", ["https://www.w3.org/ns/did/v1"], ["did:ethr:user1#key-1"]);
+    await identity.connect(user1).addServiceEndpoint("did:ethr:user1", "https://user1.example/profile");
+    await identity.connect(user2).createDID("did:ethr:user2", ["https://www.w3.org/ns/did/v1"], ["did:ethr:user2#key-1"]);
+    await identity.connect(user2).deactivateDID("did:ethr:user2");
+
+    const resolver = new Resolver(DIDSystemResolver.getResolver(identity));
+
+    return { identity, resolver, user1 };
+  }
+
+  it("Should resolve a registered DID to its document and metadata", async function () {
+    const { identity, resolver, user1 } = await loadFixture(deployRegistryFixture);
+    const registered = await identity.resolveDIDById("did:ethr:user1");
+
+    const result = await resolver.resolve("did:ethr:user1");
+
+    expect(result.didResolutionMetadata).to.deep.equal({ contentType: "application/did+ld+json" });
+    expect(result.didDocument).to.deep.equal({
+      "@context": ["https://www.w3.org/ns/did/v1"],
+      id: "did:ethr:user1",
+      verificationMethod: [{
+        id: "did:ethr:user1#key-1",
+        type: "EcdsaSecp256k1RecoveryMethod2020",
+        controller: "did:ethr:user1",
+        blockchainAccountId: `eip155:1337:${user1.address}`
+      }],
+      service: [{
+        id: "did:ethr:user1#service-1",
+        type: "LinkedDomains",
+        serviceEndpoint: "https://user1.example/profile"
+      }]
+    });
+    expect(result.didDocumentMetadata).to.deep.equal({
+      created: new Date(registered.created * 1000).toISOString().replace(".000Z", "Z"),
+      updated: new Date(registered.updated * 1000).toISOString().replace(".000Z", "Z")
+    });
+  });
+
+  it("Should resolve DID URLs to the DID's document", async function () {
+    const { resolver } = await loadFixture(deployRegistryFixture);
+
+    const result = await resolver.resolve("did:ethr:user1#key-1");
+
+    expect(result.didDocument.id).to.equal("did:ethr:user1");
+  });
+
+  it("Should flag deactivated DIDs in the document metadata", async function () {
+    const { resolver } = await loadFixture(deployRegistryFixture);
+
+    const result = await resolver.resolve("did:ethr:user2");
+
+    expect(result.didDocument.id).to.equal("did:ethr:user2");
+    expect(result.didDocumentMetadata.deactivated).to.be.true;
+  });
+
+  it("Should report unregistered DIDs as notFound", async function () {
+    const { resolver } = await loadFixture(deployRegistryFixture);
+
+    const result = await resolver.resolve("did:ethr:nobody");
+
+    expect(result.didResolutionMetadata.error).to.equal("notFound");
+    expect(result.didDocument).to.be.null;
+    expect(result.didDocumentMetadata).to.deep.equal({});
+  });
+
+  it("Should report malformed DIDs as invalidDid", async function () {
+    const { identity } = await loadFixture(deployRegistryFixture);
+
+    for (const did of ["", "ethr:user1", "did:ETHR:user1", "did:ethr:", "did:ethr:user1#key-1", "did:ethr:user 1"]) {
+      const result = await DIDSystemResolver.resolve(identity, did);
+      expect(result.didResolutionMetadata.error, did).to.equal("invalidDid");
+      expect(result.didDocument, did).to.be.null;
+    }
+  });
+
+  it("Should report registry failures as internalError", async function () {
+    const [owner] = await ethers.getSigners();
+    const unreachable = new IdentityClient(ethers.ZeroAddress, owner);
+
+    const result = await DIDSystemResolver.resolve(unreachable, "did:ethr:user1");
+
+    expect(result.didResolutionMetadata.error).to.equal("internalError");
+    expect(result.didDocument).to.be.null;
+  });
+
+  it("Should only answer for the configured methods", async function () {
+    const { identity } = await loadFixture(deployRegistryFixture);
+    const resolver = new Resolver(DIDSystemResolver.getResolver(identity, { methods: ["web"] }));
+
+    expect((await resolver.resolve("did:ethr:user1")).didResolutionMetadata.error).to.equal("unsupportedDidMethod");
+  });
+});
@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+
+const Router = require("../frontend/router.js");
+
+const REGISTRY = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+describe("Router", function () {
+  it("Should parse tab routes", function () {
+    expect(Router.parse("#/identity")).to.deep.equal({ name: "identity", param: null, tab: "identity" });
+    expect(Router.parse("#/settings")).to.deep.equal({ name: "settings", param: null, tab: "settings" });
+  });
+
+  it("Should parse credential, verify and DID routes", function () {
+    expect(Router.parse("#/credential/12")).to.deep.equal({ name: "credential", param: "12", tab: "credentials" });
+    expect(Router.parse(`#/verify/1337/${REGISTRY}/0`)).to.deep.equal({
+      name: "verify", param: "0", chainId: 1337, registry: REGISTRY, tab: "verification"
+    });
+    expect(Router.parse("#/did/did:ethr:0xabc")).to.deep.equal({ name: "did", param: "did:ethr:0xabc", tab: "verification" });
+  });
+
+  it("Should reject empty, unknown and malformed routes", function () {
+    expect(Router.parse("")).to.be.null;
+    expect(Router.parse("#/")).to.be.null;
+    expect(Router.parse("#/unknown")).to.be.null;
+    expect(Router.parse("#/identity/extra")).to.be.null;
+    expect(Router.parse("#/verify/abc")).to.be.null;
+    expect(Router.parse(`#/verify/1337/${REGISTRY}/abc`)).to.be.null;
+    expect(Router.parse("#/verify/1337/0x1234/5")).to.be.null;
+    expect(Router.parse("#/did/not-a-did")).to.be.null;
+    expect(Router.parse("#/did/%E0%A4%A")).to.be.null;
+  });
+
+  it("Should round-trip every route through format", function () {
+    const routes = [
+      { name: "credentials" },
+      { name: "credential", param: "3" },
+      { name: "verify", param: 7n, chainId: 11155111, registry: REGISTRY },
+      { name: "did", param: "did:web:example.com:users:alice" },
+      { name: "did", param: "did:ethr:0xabc#key-1" }
+    ];
+
+    routes.forEach((route) => {
+      const parsed = Router.parse(Router.format(route));
+      expect(parsed.name).to.equal(route.name);
+      expect(parsed.param).to.equal(route.param === undefined ? null : String(route.param));
+    });
+  });
+
+  it("Should name the chain and registry in verification links", function () {
+    const route = Router.parse(Router.format({ name: "verify", param: "5", chainId: 1337, registry: REGISTRY }));
+
+    expect(route).to.include({ chainId: 1337, registry: REGISTRY, param: "5" });
+    // Links that name only the credential ID could match a credential on another deployment
+    expect(Router.parse("#/verify/5")).to.be.null;
+  });
+
+  it("Should keep DIDs readable in links", function () {
+    expect(Router.format({ name: "did", param: "did:ethr:0xabc" })).to.equal("#/did/did:ethr:0xabc");
+    expect(Router.format({ name: "verify", param: "5", chainId: 1337, registry: REGISTRY })).to.equal(`#/verify/1337/${REGISTRY}/5`);
+  });
+});
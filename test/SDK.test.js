@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { IdentityClient, CredentialClient } = require("../frontend/sdk");
+const ContractABIs = require("../frontend/sdk/abis.js");
+
+// Client members that are not contract functions
+const CLIENT_MEMBERS = new Set(["constructor", "address", "connect", "write", "findEvent", "queryEvents"]);
+
+function clientMethods(Client) {
+  const names = new Set();
+  for (let prototype = Client.prototype; prototype !== Object.prototype; prototype = Object.getPrototypeOf(prototype)) {
+    Object.getOwnPropertyNames(prototype).forEach((name) => names.add(name));
+  }
+  return [...names].filter((name) => !CLIENT_MEMBERS.has(name));
+}
+
+function abiFunctions(abi) {
+  return abi.filter((entry) => entry.type === "function" && entry.name !== "initialize").map((entry) => entry.name);
+}
+
+describe("SDK", function () {
+  async function deployRegistriesFixture() {
+    const [owner, issuer, holder] = await ethers.getSigners();
+
+    const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+    const identityRegistry = await IdentityRegistryV2.deploy();
+    await identityRegistry.waitForDeployment();
+    await identityRegistry.initialize();
+
+    const CredentialRegistryV2 = await ethers.getContractFactory("CredentialRegistryV2");
+    const credentialRegistry = await CredentialRegistryV2.deploy();
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.initialize();
+
+    const identity = new IdentityClient(await identityRegistry.getAddress(), owner);
+    const credentials = new CredentialClient(await credentialRegistry.getAddress(), owner);
+
+    await identity.connect(holder).createDID("did:ethr:holder", ["https://www.w3.org/ns/did/v1"], ["did:ethr:holder#key-1"]);
+    await credentials.authorizeIssuer(issuer.address, "did:ethr:issuer");
+
+    return { identity, credentials, owner, issuer, holder };
+  }
+
+  describe("Coverage", function () {
+    it("Should wrap every IdentityRegistryV2 function", function () {
+      expect(clientMethods(IdentityClient)).to.have.members(abiFunctions(ContractABIs.IdentityRegistryV2));
+    });
+
+    it("Should wrap every CredentialRegistryV2 function", function () {
+      expect(clientMethods(CredentialClient)).to.have.members(abiFunctions(ContractABIs.CredentialRegistryV2));
+    });
+  });
+
+  describe("IdentityClient", function () {
+    it("Should resolve DID documents as plain objects", async function () {
+      const { identity, holder } = await loadFixture(deployRegistriesFixture);
+
+      const didDocument = await identity.resolveDID(holder.address);
+
+      expect(didDocument).to.deep.include({
+        id: "did:ethr:holder",
+        context: ["https://www.w3.org/ns/did/v1"],
+        verificationMethod: ["did:ethr:holder#key-1"],
+        service: [],
+        active: true
+      });
+      expect(didDocument.created).to.be.a("number");
+      expect(await identity.resolveDIDById("did:ethr:holder")).to.deep.equal(didDocument);
+    });
+
+    it("Should send writes from the connected signer", async function () {
+      const { identity, holder } = await loadFixture(deployRegistriesFixture);
+
+      const receipt = await identity.connect(holder).addServiceEndpoint("did:ethr:holder", "https://holder.example/inbox");
+
+      expect(receipt.status).to.equal(1);
+      expect((await identity.resolveDID(holder.address)).service).to.deep.equal(["https://holder.example/inbox"]);
+      expect(await identity.getTotalDIDs()).to.equal(1n);
+    });
+
+    it("Should surface contract reverts", async function () {
+      const { identity, owner } = await loadFixture(deployRegistriesFixture);
+
+      await expect(identity.resolveDID(owner.address)).to.be.revertedWith("DID not found");
+    });
+  });
+
+  describe("CredentialClient", function () {
+    it("Should return the ID of an issued credential", async function () {
+      const { credentials, issuer } = await loadFixture(deployRegistriesFixture);
+      const issuing = credentials.connect(issuer);
+
+      const first = await issuing.issueCredential({ subject: "did:ethr:holder", credentialType: "EducationalCredential" });
+      const second = await issuing.issueCredentialWithZKProof({ subject: "did:ethr:holder", credentialType: "IdentityCredential", zkProof: "proof" });
+
+      expect(first.credentialId).to.equal(0n);
+      expect(second.credentialId).to.equal(1n);
+      expect(second.receipt.status).to.equal(1);
+      expect(await credentials.getSubjectCredentials("did:ethr:holder")).to.deep.equal([0n, 1n]);
+    });
+
+    it("Should read credentials and claims as plain objects", async function () {
+      const { credentials, issuer } = await loadFixture(deployRegistriesFixture);
+      const claims = [{ key: "degree", value: "BSc Mathematics" }, { key: "year", value: "2023" }];
+
+      const { credentialId } = await credentials.connect(issuer).issueCredential({
+        subject: "did:ethr:holder",
+        credentialType: "EducationalCredential",
+        claims,
+        expirationDate: 4102444800,
+        credentialSchema: "https://example.com/schema"
+      });
+
+      expect(await credentials.getCredential(credentialId)).to.deep.include({
+        credType: ["VerifiableCredential", "EducationalCredential"],
+        issuer: "did:ethr:issuer",
+        subject: "did:ethr:holder",
+        expirationDate: 4102444800,
+        credentialStatus: "active",
+        credentialSchema: "https://example.com/schema",
+        selectiveDisclosure: false
+      });
+      expect(await credentials.getAllCredentialClaims(credentialId)).to.deep.equal(claims);
+      expect(await credentials.getCredentialClaim(credentialId, "year")).to.equal("2023");
+    });
+
+    it("Should update credential status", async function () {
+      const { credentials, issuer } = await loadFixture(deployRegistriesFixture);
+      const issuing = credentials.connect(issuer);
+      const { credentialId } = await issuing.issueCredential({ subject: "did:ethr:holder", credentialType: "EducationalCredential" });
+
+      await issuing.suspendCredential(credentialId, "Under review");
+      expect(await credentials.verifyCredential(credentialId)).to.be.false;
+
+      await issuing.reactivateCredential(credentialId);
+      expect((await credentials.credentials(credentialId)).credentialStatus).to.equal("active");
+    });
+
+    it("Should pass writes and their options to a custom send function", async function () {
+      const { credentials, owner } = await loadFixture(deployRegistriesFixture);
+      const sent = [];
+      const send = async (contract, method, args, options) => {
+        sent.push({ method, args, options });
+        return (await contract[method](...args)).wait();
+      };
+      const client = new CredentialClient(credentials.address, owner, { send });
+
+      await client.setCredentialTypeSupport("KYC", true, { description: "Enable KYC" });
+      await client.connect(owner).pause();
+
+      expect(sent).to.deep.equal([
+        { method: "setCredentialTypeSupport", args: ["KYC", true], options: { description: "Enable KYC" } },
+        { method: "pause", args: [], options: {} }
+      ]);
+      expect(await credentials.supportedCredentialTypes("KYC")).to.be.true;
+      expect(await credentials.paused()).to.be.true;
+    });
+
+    it("Should scan events in pages from the deployment block", async function () {
+      const { credentials, owner, issuer } = await loadFixture(deployRegistriesFixture);
+      const deploymentBlock = await ethers.provider.getBlockNumber();
+      const issuing = credentials.connect(issuer);
+      for (let i = 0; i < 3; i++) {
+        await issuing.issueCredential({ subject: "did:ethr:holder", credentialType: "EducationalCredential" });
+      }
+      const latest = await ethers.provider.getBlockNumber();
+
+      const client = new CredentialClient(credentials.address, owner, { deploymentBlock, logBlockRange: 2 }).connect(issuer);
+      const queryFilter = client.contract.queryFilter.bind(client.contract);
+      const ranges = [];
+      client.contract.queryFilter = (filter, fromBlock, toBlock) => {
+        ranges.push([fromBlock, toBlock]);
+        return queryFilter(filter, fromBlock, toBlock);
+      };
+
+      const events = await client.queryEvents(client.contract.filters.CredentialIssued());
+
+      expect(events.map((event) => event.args.credentialId)).to.deep.equal([0n, 1n, 2n]);
+      expect(ranges[0][0]).to.equal(deploymentBlock);
+      expect(ranges[ranges.length - 1][1]).to.equal(latest);
+      ranges.forEach(([fromBlock, toBlock]) => expect(toBlock - fromBlock).to.be.below(2));
+    });
+
+    it("Should scan several events of one credential in a single pass", async function () {
+      const { credentials, issuer } = await loadFixture(deployRegistriesFixture);
+      const issuing = credentials.connect(issuer);
+      for (let i = 0; i < 2; i++) {
+        await issuing.issueCredential({ subject: "did:ethr:holder", credentialType: "EducationalCredential" });
+      }
+      await issuing.suspendCredential(1, "Under review");
+      await issuing.revokeCredential(1, "Withdrawn");
+
+      const { filters } = credentials.contract;
+      const [issued, suspended, revoked] = await Promise.all([
+        filters.CredentialIssued(1).getTopicFilter(),
+        filters.CredentialSuspended(1).getTopicFilter(),
+        filters.CredentialRevoked(1).getTopicFilter()
+      ]);
+      const events = await credentials.queryEvents([[issued[0], suspended[0], revoked[0]], issued[1]]);
+
+      expect(events.map((event) => [event.eventName, event.args.credentialId])).to.deep.equal([
+        ["CredentialIssued", 1n],
+        ["CredentialSuspended", 1n],
+        ["CredentialRevoked", 1n]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { IdentityClient, CredentialClient } = require("../frontend/sdk");
+const VerifiableCredentials = require("../frontend/sdk/verifiableCredential.js");
+const SelectiveDisclosure = require("../frontend/sdk/selectiveDisclosure.js");
+
+const ISSUER_KEY = "did:ethr:issuer#key-1";
+
+describe("SelectiveDisclosure", function () {
+  async function deployIssuedSdJwtFixture() {
+    const [owner, other] = await ethers.getSigners();
+
+    const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+    const identityRegistry = await IdentityRegistryV2.deploy();
+    await identityRegistry.waitForDeployment();
+    await identityRegistry.initialize();
+
+    const CredentialRegistryV2 = await ethers.getContractFactory("CredentialRegistryV2");
+    const credentialRegistry = await CredentialRegistryV2.deploy();
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.initialize();
+
+    // SD-JWTs are signed with ES256K, so the issuer is a Wallet rather than a Hardhat signer
+    const issuer = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await owner.sendTransaction({ to: issuer.address, value: ethers.parseEther("1") })).wait();
+
+    const identity = new IdentityClient(await identityRegistry.getAddress(), owner);
+    const credentials = new CredentialClient(await credentialRegistry.getAddress(), owner);
+
+    await identity.connect(issuer).createDID("did:ethr:issuer", ["https://www.w3.org/ns/did/v1"], [ISSUER_KEY]);
+    await credentials.authorizeIssuer(issuer.address, "did:ethr:issuer");
+    await credentials.authorizeIssuer(other.address, "did:ethr:other");
+
+    const issuing = credentials.connect(issuer);
+    const issued = await SelectiveDisclosure.issue(issuing, issuer, {
+      verificationMethod: ISSUER_KEY,
+      subject: "did:ethr:holder",
+      credentialType: "EducationalCredential",
+      claims: [
+        { key: "name", value: "Ada Lovelace" },
+        { key: "degree", value: "BSc Mathematics" },
+        { key: "gpa", value: "3.9" }
+      ]
+    });
+
+    return { identity, credentials, issuing, issuer, other, issued };
+  }
+
+  it("Should keep the claims off-chain and anchor the issuer-signed JWT", async function () {
+    const { credentials, issued } = await loadFixture(deployIssuedSdJwtFixture);
+    const { header, payload, jwt, disclosures } = SelectiveDisclosure.decode(issued.sdJwt);
+
+    expect(header).to.deep.equal({ alg: "ES256K", kid: ISSUER_KEY, typ: "dc+sd-jwt" });
+    expect(payload).to.include({ iss: "did:ethr:issuer", sub: "did:ethr:holder", vct: "EducationalCredential", _sd_alg: "sha-256" });
+    expect(payload._sd).to.have.lengthOf(3);
+    expect(JSON.stringify(payload)).to.not.include("Lovelace");
+    expect(disclosures.map(({ key }) => key)).to.deep.equal(["name", "degree", "gpa"]);
+    expect(new Set(disclosures.map(({ salt }) => salt)).size).to.equal(3);
+
+    expect(issued.anchor).to.equal(ethers.sha256(ethers.toUtf8Bytes(jwt)));
+    expect((await credentials.getCredential(issued.credentialId)).selectiveDisclosure).to.be.true;
+    expect(await credentials.getAllCredentialClaims(issued.credentialId)).to.deep.equal([
+      { key: SelectiveDisclosure.ANCHOR_CLAIM, value: issued.anchor }
+    ]);
+  });
+
+  it("Should verify only the claims the holder reveals", async function () {
+    const { identity, credentials, issuer, issued } = await loadFixture(deployIssuedSdJwtFixture);
+
+    const presentation = SelectiveDisclosure.present(issued.sdJwt, ["degree"]);
+    const result = await SelectiveDisclosure.verify({ identity, credentials }, presentation);
+
+    expect(presentation.split("~")).to.have.lengthOf(3);
+    expect(result.error).to.be.undefined;
+    expect(result).to.include({
+      verified: true,
+      credentialId: "0",
+      issuer: "did:ethr:issuer",
+      subject: "did:ethr:holder",
+      credentialType: "EducationalCredential",
+      signer: issuer.address
+    });
+    expect(result.claims).to.deep.equal([{ key: "degree", value: "BSc Mathematics" }]);
+  });
+
+  it("Should reject disclosures the issuer did not sign", async function () {
+    const { identity, credentials, issued } = await loadFixture(deployIssuedSdJwtFixture);
+    const [jwt, , degree] = issued.sdJwt.split("~");
+    const [salt] = JSON.parse(Buffer.from(degree, "base64url").toString());
+    const forged = Buffer.from(JSON.stringify([salt, "degree", "PhD Mathematics"])).toString("base64url");
+
+    const result = await SelectiveDisclosure.verify({ identity, credentials }, `${jwt}~${forged}~`);
+    const repeated = await SelectiveDisclosure.verify({ identity, credentials }, `${jwt}~${degree}~${degree}~`);
+
+    expect(result).to.deep.equal({ verified: false, error: "A disclosure is not part of the credential" });
+    expect(repeated.error).to.equal("A claim is disclosed twice");
+  });
+
+  it("Should reject SD-JWTs that are not anchored by their issuer", async function () {
+    const { identity, credentials, issuer, other, issued } = await loadFixture(deployIssuedSdJwtFixture);
+    const { header, payload } = SelectiveDisclosure.decode(issued.sdJwt);
+
+    // Validly signed, but never anchored
+    const reissued = VerifiableCredentials.signES256K(header, { ...payload, iat: payload.iat + 1 }, issuer);
+    // Another issuer anchoring a copy later must not shadow the issuer's own anchor
+    const { jwt } = SelectiveDisclosure.decode(issued.sdJwt);
+    await credentials.connect(other).issueCredential({
+      subject: "did:ethr:holder",
+      credentialType: "EducationalCredential",
+      claims: [{ key: SelectiveDisclosure.ANCHOR_CLAIM, value: issued.anchor }],
+      selectiveDisclosure: true
+    });
+
+    expect((await SelectiveDisclosure.verify({ identity, credentials }, `${reissued}~`)).error).to.equal("The SD-JWT is not anchored in the registry");
+    expect((await SelectiveDisclosure.verify({ identity, credentials }, `${jwt}~`)).credentialId).to.equal("0");
+  });
+
+  it("Should reject SD-JWTs signed with another key or for a revoked credential", async function () {
+    const { identity, credentials, issuing, issued } = await loadFixture(deployIssuedSdJwtFixture);
+    const { header, payload } = SelectiveDisclosure.decode(issued.sdJwt);
+    const impostor = VerifiableCredentials.signES256K(header, payload, ethers.Wallet.createRandom());
+
+    expect((await SelectiveDisclosure.verify({ identity, credentials }, `${impostor}~`)).error).to.equal(`The signature does not match ${ISSUER_KEY}`);
+
+    await issuing.revokeCredential(issued.credentialId, "Degree rescinded");
+
+    expect((await SelectiveDisclosure.verify({ identity, credentials }, issued.sdJwt)).error).to.equal("The credential is revoked");
+  });
+
+  it("Should refuse to reveal claims the credential does not have", async function () {
+    const { issuing, issued } = await loadFixture(deployIssuedSdJwtFixture);
+    const [signer] = await ethers.getSigners();
+
+    expect(SelectiveDisclosure.claimsOf(issued.sdJwt)).to.have.lengthOf(3);
+    expect(() => SelectiveDisclosure.present(issued.sdJwt, ["degree", "batchNumber"])).to.throw("The credential has no batchNumber claim");
+    expect(() => SelectiveDisclosure.decode("not.an.sd-jwt")).to.throw("Not an SD-JWT");
+    await expect(SelectiveDisclosure.issue(issuing, signer, { verificationMethod: ISSUER_KEY, subject: "did:ethr:holder", credentialType: "EducationalCredential" }))
+      .to.be.rejectedWith("SD-JWT signing needs a signer holding its private key");
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const TransactionManager = require("../frontend/transactions.js");
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value)
+  };
+}
+
+describe("TransactionManager", function () {
+  async function deployRegistryFixture() {
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+    const identityRegistry = await IdentityRegistryV2.deploy();
+    await identityRegistry.waitForDeployment();
+    await identityRegistry.initialize();
+
+    await identityRegistry.connect(user1).createDID("did:ethr:user1", ["https://www.w3.org/ns/did/v1"], ["did:ethr:user1#key-1"]);
+
+    return { identityRegistry, owner, user1, user2 };
+  }
+
+  async function managerFor(signer, storage = memoryStorage()) {
+    const manager = new TransactionManager({ storage, pollInterval: 10 });
+    const { chainId } = await ethers.provider.getNetwork();
+    manager.setContext(ethers.provider, signer, chainId, signer.address);
+    return manager;
+  }
+
+  // Hardhat's provider, with receipt lookups failing as the given errors first
+  function flakyProvider(...errors) {
+    return {
+      getTransactionCount: (...args) => ethers.provider.getTransactionCount(...args),
+      getTransactionReceipt: async (hash) => {
+        if (errors.length > 0) throw errors.shift();
+        return ethers.provider.getTransactionReceipt(hash);
+      }
+    };
+  }
+
+  describe("Revert explanations", function () {
+    it("Should explain registry revert reasons", async function () {
+      const { identityRegistry, user1, user2 } = await loadFixture(deployRegistryFixture);
+
+      const error = await identityRegistry.connect(user2)
+        .updateDID("did:ethr:user1", [], [])
+        .catch((e) => e);
+
+      expect(TransactionManager.explainError(error)).to.equal(
+        "Only the account that created this DID can change it."
+      );
+
+      await identityRegistry.pause();
+      const pausedError = await identityRegistry.connect(user1)
+        .addServiceEndpoint("did:ethr:user1", "https://example.com")
+        .catch((e) => e);
+
+      expect(TransactionManager.explainError(pausedError)).to.equal(
+        "The registry is paused by its owner. Please try again later."
+      );
+    });
+
+    it("Should explain wallet JSON-RPC errors", async function () {
+      expect(TransactionManager.explainError({
+        code: -32603,
+        message: "Internal JSON-RPC error.",
+        data: { message: "execution reverted: Unsupported credential type" }
+      })).to.equal("The registry does not accept this credential type. Ask the registry owner to enable it.");
+
+      expect(TransactionManager.explainError({ code: 4001, message: "User denied transaction signature." }))
+        .to.equal("You rejected the request in your wallet.");
+    });
+
+    it("Should fall back to unknown revert strings and plain messages", async function () {
+      expect(TransactionManager.explainError(new Error("execution reverted: Something new")))
+        .to.equal("The contract rejected the transaction: Something new");
+      expect(TransactionManager.explainError(new Error("network down"))).to.equal("network down");
+    });
+  });
+
+  describe("Sending", function () {
+    it("Should record confirmed transactions across reloads", async function () {
+      const { identityRegistry, user1 } = await loadFixture(deployRegistryFixture);
+      const storage = memoryStorage();
+      const manager = await managerFor(user1, storage);
+
+      const receipt = await manager.send(
+        identityRegistry.connect(user1),
+        "addServiceEndpoint",
+        ["did:ethr:user1", "https://example.com/hub"],
+        { description: "Add service endpoint" }
+      );
+
+      expect(receipt.status).to.equal(1);
+
+      const reloaded = await managerFor(user1, storage);
+      const [record] = reloaded.getTransactions();
+      expect(record).to.include({ description: "Add service endpoint", status: "confirmed", hash: receipt.hash });
+    });
+
+    it("Should reject before sending when gas estimation reverts", async function () {
+      const { identityRegistry, user2 } = await loadFixture(deployRegistryFixture);
+      const manager = await managerFor(user2);
+
+      const error = await manager
+        .send(identityRegistry.connect(user2), "deactivateDID", ["did:ethr:user1"])
+        .catch((e) => e);
+
+      expect(TransactionManager.explainError(error)).to.equal(
+        "Only the account that created this DID can change it."
+      );
+      expect(manager.getTransactions()).to.be.empty;
+    });
+
+    it("Should keep polling through transient provider errors", async function () {
+      const { identityRegistry, user1 } = await loadFixture(deployRegistryFixture);
+      const manager = await managerFor(user1);
+      manager.provider = flakyProvider(Object.assign(new Error("Too Many Requests"), { code: "SERVER_ERROR" }));
+
+      const receipt = await manager.send(
+        identityRegistry.connect(user1),
+        "addServiceEndpoint",
+        ["did:ethr:user1", "https://example.com/hub"]
+      );
+
+      expect(receipt.status).to.equal(1);
+      expect(manager.find(receipt.hash).status).to.equal("confirmed");
+    });
+
+    it("Should reject the sender when polling fails for good", async function () {
+      const { identityRegistry, user1 } = await loadFixture(deployRegistryFixture);
+      const manager = await managerFor(user1);
+      manager.provider = flakyProvider(new Error("invalid transaction hash"));
+
+      const mined = manager.send(
+        identityRegistry.connect(user1),
+        "addServiceEndpoint",
+        ["did:ethr:user1", "https://example.com/hub"]
+      );
+
+      await expect(mined).to.be.rejectedWith("invalid transaction hash");
+      expect(manager.getTransactions()[0].status).to.equal("pending");
+    });
+  });
+
+  describe("Replacing pending transactions", function () {
+    afterEach(async function () {
+      await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("Should speed up a stuck transaction", async function () {
+      const { identityRegistry, user1 } = await loadFixture(deployRegistryFixture);
+      const manager = await managerFor(user1);
+      await network.provider.send("evm_setAutomine", [false]);
+
+      let submitted;
+      const mined = manager.send(
+        identityRegistry.connect(user1),
+        "addVerificationMethod",
+        ["did:ethr:user1", "did:ethr:user1#key-2"],
+        { description: "Add key", onSubmitted: (tx) => { submitted = tx; } }
+      );
+      while (!submitted) await new Promise((resolve) => setTimeout(resolve, 10));
+
+      const replacement = await manager.speedUp(submitted.hash);
+      await network.provider.send("evm_mine");
+
+      const receipt = await mined;
+      expect(receipt.hash).to.equal(replacement.hash);
+      expect(manager.find(submitted.hash).status).to.equal("replaced");
+      expect(manager.find(replacement.hash).status).to.equal("confirmed");
+
+      const didDoc = await identityRegistry.resolveDID(user1.address);
+      expect(didDoc.verificationMethod).to.deep.equal(["did:ethr:user1#key-1", "did:ethr:user1#key-2"]);
+    });
+
+    it("Should speed up a transaction whose priority fee was not recorded", async function () {
+      const { identityRegistry, user1 } = await loadFixture(deployRegistryFixture);
+      const manager = await managerFor(user1);
+      await network.provider.send("evm_setAutomine", [false]);
+
+      let submitted;
+      const mined = manager.send(
+        identityRegistry.connect(user1),
+        "addVerificationMethod",
+        ["did:ethr:user1", "did:ethr:user1#key-2"],
+        { onSubmitted: (tx) => { submitted = tx; } }
+      );
+      while (!submitted) await new Promise((resolve) => setTimeout(resolve, 10));
+      manager.update(submitted.hash, { maxPriorityFeePerGas: null });
+
+      const replacement = await manager.speedUp(submitted.hash);
+      await network.provider.send("evm_mine");
+
+      expect((await mined).hash).to.equal(replacement.hash);
+      expect(BigInt(replacement.maxPriorityFeePerGas)).to.be.above(submitted.maxPriorityFeePerGas);
+    });
+
+    it("Should cancel a stuck transaction", async function () {
+      const { identityRegistry, user1 } = await loadFixture(deployRegistryFixture);
+      const manager = await managerFor(user1);
+      await network.provider.send("evm_setAutomine", [false]);
+
+      let submitted;
+      const mined = manager.send(
+        identityRegistry.connect(user1),
+        "addVerificationMethod",
+        ["did:ethr:user1", "did:ethr:user1#key-2"],
+        { onSubmitted: (tx) => { submitted = tx; } }
+      );
+      while (!submitted) await new Promise((resolve) => setTimeout(resolve, 10));
+
+      await manager.cancel(submitted.hash);
+      await network.provider.send("evm_mine");
+
+      await expect(mined).to.be.rejectedWith("Transaction was cancelled");
+      expect(manager.find(submitted.hash).status).to.equal("cancelled");
+
+      const didDoc = await identityRegistry.resolveDID(user1.address);
+      expect(didDoc.verificationMethod).to.deep.equal(["did:ethr:user1#key-1"]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { IdentityClient, CredentialClient } = require("../frontend/sdk");
+const VerifiableCredentials = require("../frontend/sdk/verifiableCredential.js");
+
+const ISSUER_KEY = "did:ethr:issuer#key-1";
+const DAY = 86400;
+
+describe("VerifiableCredentials", function () {
+  async function deployIssuedCredentialFixture() {
+    const [owner, delegate, other] = await ethers.getSigners();
+
+    const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+    const identityRegistry = await IdentityRegistryV2.deploy();
+    await identityRegistry.waitForDeployment();
+    await identityRegistry.initialize();
+
+    const CredentialRegistryV2 = await ethers.getContractFactory("CredentialRegistryV2");
+    const credentialRegistry = await CredentialRegistryV2.deploy();
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.initialize();
+
+    // VC-JWTs need the raw key, so the issuer is a Wallet rather than a Hardhat signer
+    const issuer = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await owner.sendTransaction({ to: issuer.address, value: ethers.parseEther("1") })).wait();
+
+    const identity = new IdentityClient(await identityRegistry.getAddress(), owner);
+    const credentials = new CredentialClient(await credentialRegistry.getAddress(), owner);
+
+    await identity.connect(issuer).createDID("did:ethr:issuer", ["https://www.w3.org/ns/did/v1"], [ISSUER_KEY]);
+    await identity.connect(issuer).addVerificationMethod("did:ethr:issuer", JSON.stringify({
+      id: "#delegate",
+      type: "EcdsaSecp256k1RecoveryMethod2020",
+      blockchainAccountId: `eip155:1337:${delegate.address}`
+    }));
+    await credentials.authorizeIssuer(issuer.address, "did:ethr:issuer");
+
+    // Other suites move the chain's clock, so validity is checked against the chain's time
+    const expirationDate = (await time.latest()) + 365 * DAY;
+    const { credentialId } = await credentials.connect(issuer).issueCredential({
+      subject: "did:ethr:holder",
+      credentialType: "EducationalCredential",
+      claims: [{ key: "name", value: "Ada Lovelace" }, { key: "degree", value: "BSc Mathematics" }],
+      expirationDate,
+      credentialSchema: "https://example.com/education-schema.json"
+    });
+
+    const now = await time.latest();
+    const credential = await credentials.getCredential(credentialId);
+    const document = VerifiableCredentials.toW3C(credential, await credentials.getAllCredentialClaims(credentialId), {
+      id: "https://verifier.example/#/verify/0"
+    });
+
+    return { identity, issuer, delegate, other, credential, document, now };
+  }
+
+  it("Should assemble a VC Data Model 2.0 credential from registry data", async function () {
+    const { credential, document } = await loadFixture(deployIssuedCredentialFixture);
+
+    expect(document).to.deep.equal({
+      "@context": ["https://www.w3.org/ns/credentials/v2"],
+      id: "https://verifier.example/#/verify/0",
+      type: ["VerifiableCredential", "EducationalCredential"],
+      issuer: "did:ethr:issuer",
+      validFrom: new Date(credential.issuanceDate * 1000).toISOString().replace(".000Z", "Z"),
+      validUntil: new Date(credential.expirationDate * 1000).toISOString().replace(".000Z", "Z"),
+      credentialSubject: { name: "Ada Lovelace", degree: "BSc Mathematics", id: "did:ethr:holder" },
+      credentialSchema: { id: "https://example.com/education-schema.json", type: "JsonSchema" }
+    });
+  });
+
+  it("Should sign and verify a VC-JWT", async function () {
+    const { identity, issuer, document, now } = await loadFixture(deployIssuedCredentialFixture);
+
+    const jwt = VerifiableCredentials.signJWT(document, issuer, ISSUER_KEY);
+    const result = await VerifiableCredentials.verify(identity, jwt, now);
+
+    expect(VerifiableCredentials.decodeJWT(jwt).header).to.deep.equal({ alg: "ES256K", kid: ISSUER_KEY, typ: "vc+jwt" });
+    expect(result.error).to.be.undefined;
+    expect(result.verified).to.be.true;
+    expect(result.credential).to.deep.equal(document);
+    expect(result.signer).to.equal(issuer.address);
+  });
+
+  it("Should sign and verify a Data Integrity proof", async function () {
+    const { identity, issuer, document, now } = await loadFixture(deployIssuedCredentialFixture);
+
+    const secured = await VerifiableCredentials.signDataIntegrity(document, issuer, ISSUER_KEY);
+    const result = await VerifiableCredentials.verify(identity, secured, now);
+
+    expect(secured.proof).to.include({ type: "EthereumEip712Signature2021", proofPurpose: "assertionMethod", verificationMethod: ISSUER_KEY });
+    expect(result.verified).to.be.true;
+    expect(result.verificationMethod.blockchainAccountId).to.equal(`eip155:1337:${issuer.address}`);
+  });
+
+  it("Should accept a delegate key listed in the issuer's DID document", async function () {
+    const { identity, delegate, document, now } = await loadFixture(deployIssuedCredentialFixture);
+
+    const secured = await VerifiableCredentials.signDataIntegrity(document, delegate, "did:ethr:issuer#delegate");
+
+    expect((await VerifiableCredentials.verify(identity, secured, now)).verified).to.be.true;
+  });
+
+  it("Should reject credentials changed after signing", async function () {
+    const { identity, issuer, document, now } = await loadFixture(deployIssuedCredentialFixture);
+    const tamper = (vc) => ({ ...vc, credentialSubject: { ...vc.credentialSubject, degree: "PhD Mathematics" } });
+
+    const secured = await VerifiableCredentials.signDataIntegrity(document, issuer, ISSUER_KEY);
+    const [header, , signature] = VerifiableCredentials.signJWT(document, issuer, ISSUER_KEY).split(".");
+    const payload = Buffer.from(JSON.stringify(tamper(document))).toString("base64url");
+
+    expect((await VerifiableCredentials.verify(identity, tamper(secured), now)).verified).to.be.false;
+    expect((await VerifiableCredentials.verify(identity, `${header}.${payload}.${signature}`, now)).verified).to.be.false;
+  });
+
+  it("Should reject signatures from keys the issuer does not list", async function () {
+    const { identity, other, document, now } = await loadFixture(deployIssuedCredentialFixture);
+
+    const impostor = await VerifiableCredentials.signDataIntegrity(document, other, ISSUER_KEY);
+    const unlisted = await VerifiableCredentials.signDataIntegrity(document, other, "did:ethr:issuer#key-2");
+    const foreign = await VerifiableCredentials.signDataIntegrity(document, other, "did:ethr:other#key-1");
+
+    expect(await VerifiableCredentials.verify(identity, impostor, now)).to.deep.equal({
+      verified: false,
+      error: `The signature does not match ${ISSUER_KEY}`
+    });
+    expect((await VerifiableCredentials.verify(identity, unlisted, now)).error).to.equal("did:ethr:issuer#key-2 is not an assertion method of did:ethr:issuer");
+    expect((await VerifiableCredentials.verify(identity, foreign, now)).error).to.equal("The proof is not signed with a key of the issuer");
+  });
+
+  it("Should reject credentials from deactivated issuer DIDs", async function () {
+    const { identity, issuer, document, now } = await loadFixture(deployIssuedCredentialFixture);
+    const jwt = VerifiableCredentials.signJWT(document, issuer, ISSUER_KEY);
+
+    await identity.connect(issuer).deactivateDID("did:ethr:issuer");
+
+    expect((await VerifiableCredentials.verify(identity, jwt, now)).error).to.equal("Issuer DID did:ethr:issuer is deactivated");
+  });
+
+  it("Should reject credentials outside their validity period", async function () {
+    const { identity, issuer, document, now } = await loadFixture(deployIssuedCredentialFixture);
+    const jwt = VerifiableCredentials.signJWT(document, issuer, ISSUER_KEY);
+
+    expect((await VerifiableCredentials.verify(identity, jwt, now + 400 * DAY)).error).to.equal("The credential has expired");
+    expect((await VerifiableCredentials.verify(identity, jwt, now - DAY)).error).to.equal("The credential is not valid yet");
+  });
+
+  it("Should need the raw key to sign a VC-JWT", async function () {
+    const { delegate, document } = await loadFixture(deployIssuedCredentialFixture);
+
+    expect(() => VerifiableCredentials.signJWT(document, delegate, "did:ethr:issuer#delegate")).to.throw("VC-JWT signing needs a signer holding its private key");
+    expect(() => VerifiableCredentials.decodeJWT("not.a.jwt")).to.throw("Not a VC-JWT");
+  });
+});
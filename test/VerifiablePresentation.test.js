@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { IdentityClient, CredentialClient } = require("../frontend/sdk");
+const VerifiableCredentials = require("../frontend/sdk/verifiableCredential.js");
+const VerifiablePresentations = require("../frontend/sdk/verifiablePresentation.js");
+
+const HOLDER_KEY = "did:ethr:holder#key-1";
+const VERIFIER = { challenge: "0x5f3c9e1d2b7a4c6e8f0a1b2c3d4e5f60", domain: "verifier.example" };
+
+describe("VerifiablePresentations", function () {
+  async function deployHolderFixture() {
+    const [owner, issuer, holder, other] = await ethers.getSigners();
+
+    const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+    const identityRegistry = await IdentityRegistryV2.deploy();
+    await identityRegistry.waitForDeployment();
+    await identityRegistry.initialize();
+
+    const CredentialRegistryV2 = await ethers.getContractFactory("CredentialRegistryV2");
+    const credentialRegistry = await CredentialRegistryV2.deploy();
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.initialize();
+
+    const identity = new IdentityClient(await identityRegistry.getAddress(), owner);
+    const credentials = new CredentialClient(await credentialRegistry.getAddress(), owner);
+
+    await identity.connect(holder).createDID("did:ethr:holder", ["https://www.w3.org/ns/did/v1"], [HOLDER_KEY]);
+    await credentials.authorizeIssuer(issuer.address, "did:ethr:issuer");
+
+    const issuing = credentials.connect(issuer);
+    const issued = [
+      await issuing.issueCredential({ subject: "did:ethr:holder", credentialType: "EducationalCredential", claims: [{ key: "degree", value: "BSc Mathematics" }] }),
+      await issuing.issueCredential({ subject: "did:ethr:holder", credentialType: "ProfessionalCredential", claims: [{ key: "license", value: "RN-1234" }] }),
+      await issuing.issueCredential({ subject: "did:ethr:other", credentialType: "EducationalCredential", claims: [{ key: "degree", value: "BA History" }] })
+    ];
+
+    const registry = { chainId: 1337, registry: credentials.address };
+    const vcs = [];
+    for (const { credentialId } of issued) {
+      vcs.push(VerifiableCredentials.toW3C(
+        await credentials.getCredential(credentialId),
+        await credentials.getAllCredentialClaims(credentialId),
+        { status: { ...registry, credentialId } }
+      ));
+    }
+
+    return { identity, credentials, issuing, holder, other, vcs };
+  }
+
+  async function present(signer, vcs, options = {}) {
+    const presentation = VerifiablePresentations.create("did:ethr:holder", vcs);
+    return VerifiablePresentations.sign(presentation, signer, { verificationMethod: HOLDER_KEY, ...VERIFIER, ...options });
+  }
+
+  it("Should verify the holder, the challenge and every credential", async function () {
+    const { identity, credentials, holder, vcs } = await loadFixture(deployHolderFixture);
+
+    const presentation = await present(holder, vcs.slice(0, 2));
+    const result = await VerifiablePresentations.verify({ identity, credentials }, presentation, VERIFIER);
+
+    expect(presentation.proof).to.include({ proofPurpose: "authentication", verificationMethod: HOLDER_KEY, ...VERIFIER });
+    expect(result.verified).to.be.true;
+    expect(result.holder).to.equal("did:ethr:holder");
+    expect(result.signer).to.equal(holder.address);
+    expect(result.credentials).to.deep.equal([
+      { credentialId: "0", verified: true },
+      { credentialId: "1", verified: true }
+    ]);
+  });
+
+  it("Should bind the presentation to the verifier's challenge and domain", async function () {
+    const { identity, credentials, holder, vcs } = await loadFixture(deployHolderFixture);
+    const presentation = await present(holder, vcs.slice(0, 1));
+
+    const replayed = await VerifiablePresentations.verify({ identity, credentials }, presentation, { ...VERIFIER, challenge: "0x00" });
+    const elsewhere = await VerifiablePresentations.verify({ identity, credentials }, presentation, { ...VERIFIER, domain: "attacker.example" });
+    const rewritten = await VerifiablePresentations.verify({ identity, credentials },
+      { ...presentation, proof: { ...presentation.proof, challenge: "0x00" } }, { ...VERIFIER, challenge: "0x00" });
+
+    expect(replayed.error).to.equal("The presentation was signed for another challenge");
+    expect(elsewhere.error).to.equal("The presentation was signed for another domain");
+    expect(rewritten.verified).to.be.false;
+    expect(rewritten.signer).to.be.undefined;
+  });
+
+  it("Should reject presentations without a challenge, or a verifier that does not ask for one", async function () {
+    const { identity, credentials, holder, vcs } = await loadFixture(deployHolderFixture);
+    const unbound = await VerifiableCredentials.addProof(VerifiablePresentations.create("did:ethr:holder", vcs.slice(0, 1)), holder, {
+      proofPurpose: "authentication",
+      verificationMethod: HOLDER_KEY
+    });
+
+    const lenient = await VerifiablePresentations.verify({ identity, credentials }, unbound, {});
+    const strict = await VerifiablePresentations.verify({ identity, credentials }, unbound, VERIFIER);
+    const missing = await VerifiablePresentations.verify({ identity, credentials }, await present(holder, vcs.slice(0, 1)));
+
+    expect(lenient).to.deep.equal({ verified: false, error: "The verifier must give the challenge and domain it expects" });
+    expect(strict).to.deep.equal({ verified: false, error: "The presentation is not bound to a challenge and domain" });
+    expect(missing.verified).to.be.false;
+  });
+
+  it("Should reject presentations not signed by the holder", async function () {
+    const { identity, credentials, other, vcs } = await loadFixture(deployHolderFixture);
+
+    const presentation = await present(other, vcs.slice(0, 1));
+
+    expect(await VerifiablePresentations.verify({ identity, credentials }, presentation, VERIFIER)).to.deep.equal({
+      verified: false,
+      error: `The signature does not match ${HOLDER_KEY}`
+    });
+  });
+
+  it("Should report revoked credentials", async function () {
+    const { identity, credentials, issuing, holder, vcs } = await loadFixture(deployHolderFixture);
+    await issuing.revokeCredential(1, "Licence withdrawn");
+
+    const result = await VerifiablePresentations.verify({ identity, credentials }, await present(holder, vcs.slice(0, 2)), VERIFIER);
+
+    expect(result.verified).to.be.false;
+    expect(result.credentials).to.deep.equal([
+      { credentialId: "0", verified: true },
+      { credentialId: "1", verified: false, error: "The credential is revoked" }
+    ]);
+  });
+
+  it("Should reject credentials that differ from the registry or belong to someone else", async function () {
+    const { identity, credentials, holder, vcs } = await loadFixture(deployHolderFixture);
+    const upgraded = { ...vcs[0], credentialSubject: { ...vcs[0].credentialSubject, degree: "PhD Mathematics" } };
+    const borrowed = { ...vcs[2], credentialSubject: { ...vcs[2].credentialSubject, id: "did:ethr:holder" } };
+    const foreign = { ...vcs[1], credentialStatus: { ...vcs[1].credentialStatus, registry: ethers.ZeroAddress } };
+
+    const result = await VerifiablePresentations.verify({ identity, credentials }, await present(holder, [upgraded, borrowed, foreign, vcs[2]]), VERIFIER);
+
+    expect(result.credentials.map(({ error }) => error)).to.deep.equal([
+      "The credential does not match the registry",
+      "The credential does not match the registry",
+      "The credential is from another registry",
+      "The holder is not the credential subject"
+    ]);
+  });
+
+  it("Should need a challenge and a domain to sign", async function () {
+    const { holder, vcs } = await loadFixture(deployHolderFixture);
+
+    await expect(present(holder, vcs.slice(0, 1), { domain: "" })).to.be.rejectedWith("A presentation needs the verifier's challenge and domain");
+  });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { JSDOM } = require("jsdom");
+const fs = require("fs");
+const path = require("path");
+
+const Views = require("../frontend/views.js");
+const { toCredential, toClaims } = require("../frontend/sdk/index.js");
+
+const APP_SOURCE = fs.readFileSync(path.join(__dirname, "..", "frontend", "app.js"), "utf8");
+
+// Markup an authorized issuer could store in any string field of a credential
+const HOSTILE = '<img src=x onerror="window.pwned = true"><script>window.pwned = true</script>';
+
+describe("Views", function () {
+  let dom;
+
+  before(function () {
+    dom = new JSDOM("<!DOCTYPE html><body></body>", { runScripts: "dangerously" });
+    global.document = dom.window.document;
+  });
+
+  after(function () {
+    delete global.document;
+    dom.window.close();
+  });
+
+  async function deployHostileCredentialFixture() {
+    const [owner, issuer] = await ethers.getSigners();
+
+    const CredentialRegistryV2 = await ethers.getContractFactory("CredentialRegistryV2");
+    const credentialRegistry = await CredentialRegistryV2.deploy();
+    await credentialRegistry.waitForDeployment();
+    await credentialRegistry.initialize();
+
+    await credentialRegistry.setCredentialTypeSupport(HOSTILE, true);
+    await credentialRegistry.authorizeIssuer(issuer.address, HOSTILE);
+    await credentialRegistry.connect(issuer).issueCredential(
+      HOSTILE,
+      HOSTILE,
+      [HOSTILE],
+      [HOSTILE],
+      0,
+      HOSTILE,
+      false
+    );
+
+    return {
+      credential: toCredential(await credentialRegistry.getCredential(0)),
+      claims: toClaims(await credentialRegistry.getAllCredentialClaims(0))
+    };
+  }
+
+  // Renders a view into the live document so that injected handlers would run
+  function mount(element) {
+    document.body.replaceChildren(element);
+    return element;
+  }
+
+  function expectInert(element) {
+    expect(element.querySelectorAll("img, script")).to.have.length(0);
+    expect(element.textContent).to.include(HOSTILE);
+    expect(dom.window.pwned).to.be.undefined;
+  }
+
+  it("Should render hostile credential fields as text in the credential card", async function () {
+    const { credential } = await loadFixture(deployHostileCredentialFixture);
+
+    const card = mount(Views.credentialCard(0n, credential, true, { onView: () => {}, onVerify: () => {} }));
+
+    expectInert(card);
+    expect(card.dataset.credentialId).to.equal("0");
+  });
+
+  it("Should wire the credential card buttons to the handlers", async function () {
+    const { credential } = await loadFixture(deployHostileCredentialFixture);
+    const clicked = [];
+
+    const card = mount(Views.credentialCard(0n, credential, true, {
+      onView: () => clicked.push("view"),
+      onVerify: () => clicked.push("verify")
+    }));
+    card.querySelectorAll("button").forEach((button) => button.click());
+
+    expect(clicked).to.deep.equal(["view", "verify"]);
+  });
+
+  it("Should render hostile credential fields as text in verification results", async function () {
+    const { credential } = await loadFixture(deployHostileCredentialFixture);
+
+    expectInert(mount(Views.verificationResults(HOSTILE, credential, false)));
+  });
+
+  it("Should render hostile claim keys and values as text", async function () {
+    const { claims } = await loadFixture(deployHostileCredentialFixture);
+
+    const table = document.createElement("tbody");
+    table.replaceChildren(...Views.claimRows(claims));
+    mount(table);
+
+    expectInert(table);
+    expect(table.querySelectorAll("td")).to.have.length(2);
+  });
+
+  it("Should render a hostile DID document as text in the DID lookup", function () {
+    const result = mount(Views.didLookupResult({ id: HOSTILE, service: [{ serviceEndpoint: HOSTILE }] }, true));
+
+    expect(result.querySelectorAll("img, script")).to.have.length(0);
+    expect(result.querySelector("h4").textContent).to.equal(HOSTILE);
+    expect(dom.window.pwned).to.be.undefined;
+  });
+
+  it("Should render a hostile presentation nonce as text", function () {
+    const proof = mount(Views.holderProof(HOSTILE, "0x0000000000000000000000000000000000000001", false));
+
+    expectInert(proof);
+    expect(proof.textContent).to.include("Not signed by the credential subject");
+  });
+
+  it("Should render hostile text in messages", function () {
+    const message = mount(Views.message(`Credential #0 was revoked by its issuer: ${HOSTILE}`, "error"));
+
+    expectInert(message);
+    message.querySelector("button").click();
+    expect(message.isConnected).to.be.false;
+  });
+
+  it("Should not interpolate values into innerHTML in app.js", function () {
+    const interpolated = [...APP_SOURCE.matchAll(/innerHTML\s*=\s*`[^`]*\$\{/g)];
+
+    expect(interpolated).to.be.empty;
+  });
+});
@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const Wallets = require("../frontend/wallets.js");
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value)
+  };
+}
+
+// A window on which the given wallets answer EIP-6963 discovery requests
+function walletWindow(wallets) {
+  const target = new EventTarget();
+  target.addEventListener("eip6963:requestProvider", () => {
+    wallets.forEach((wallet) => {
+      target.dispatchEvent(new CustomEvent("eip6963:announceProvider", { detail: wallet }));
+    });
+  });
+  return target;
+}
+
+function announcement(uuid, name) {
+  return { info: { uuid, name, icon: "data:image/svg+xml,<svg/>", rdns: `com.example.${uuid}` }, provider: { name } };
+}
+
+describe("Wallets", function () {
+  describe("EIP-6963 discovery", function () {
+    it("Should list announced wallets by name", function () {
+      const target = walletWindow([announcement("b", "Zeta Wallet"), announcement("a", "Alpha Wallet")]);
+      const discovery = new Wallets.WalletDiscovery({ target });
+
+      discovery.start();
+
+      expect(discovery.getWallets().map((wallet) => wallet.info.name)).to.deep.equal(["Alpha Wallet", "Zeta Wallet"]);
+    });
+
+    it("Should keep one entry per wallet when it announces again", function () {
+      const target = walletWindow([announcement("a", "Alpha Wallet")]);
+      const changes = [];
+      const discovery = new Wallets.WalletDiscovery({ target, onChange: (wallets) => changes.push(wallets.length) });
+
+      discovery.start();
+      target.dispatchEvent(new Event("eip6963:requestProvider"));
+
+      expect(discovery.getWallets()).to.have.length(1);
+      expect(changes).to.deep.equal([1, 1]);
+    });
+
+    it("Should fall back to the injected provider when no wallet announces itself", function () {
+      const target = walletWindow([]);
+      const discovery = new Wallets.WalletDiscovery({ target });
+      discovery.start();
+
+      expect(discovery.getWallets()).to.be.empty;
+
+      target.ethereum = { legacy: true };
+      expect(discovery.getWallets()).to.deep.equal([{
+        info: { uuid: "injected", name: "Browser Wallet", icon: null, rdns: null },
+        provider: target.ethereum
+      }]);
+    });
+  });
+
+  describe("Local development accounts", function () {
+    it("Should sign with the node's unlocked accounts", async function () {
+      const [owner, user1] = await ethers.getSigners();
+
+      const accounts = await Wallets.listLocalAccounts(ethers.provider);
+      const signer = await Wallets.createLocalSigner(ethers.provider, user1.address, memoryStorage());
+
+      expect(accounts.map((account) => ethers.getAddress(account))).to.include.members([owner.address, user1.address]);
+      expect(await signer.getAddress()).to.equal(user1.address);
+    });
+
+    it("Should generate, fund and reuse a browser key", async function () {
+      const storage = memoryStorage();
+
+      const signer = await Wallets.createLocalSigner(ethers.provider, Wallets.GENERATED_ACCOUNT, storage);
+      const again = await Wallets.createLocalSigner(ethers.provider, Wallets.GENERATED_ACCOUNT, storage);
+
+      expect(storage.getItem(Wallets.LOCAL_KEY_STORAGE_KEY)).to.equal(signer.privateKey);
+      expect(again.address).to.equal(signer.address);
+      expect(await ethers.provider.getBalance(signer.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should send registry transactions from the generated key", async function () {
+      const IdentityRegistryV2 = await ethers.getContractFactory("IdentityRegistryV2");
+      const identityRegistry = await IdentityRegistryV2.deploy();
+      await identityRegistry.waitForDeployment();
+      await identityRegistry.initialize();
+
+      const signer = await Wallets.createLocalSigner(ethers.provider, Wallets.GENERATED_ACCOUNT, memoryStorage());
+      await (await identityRegistry.connect(signer).createDID("did:ethr:local", ["https://www.w3.org/ns/did/v1"], [])).wait();
+
+      expect(await identityRegistry.hasActiveDID(signer.address)).to.be.true;
+    });
+  });
+});